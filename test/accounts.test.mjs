@@ -0,0 +1,52 @@
+// 多公众号：同一 OpenID 在不同账号下的会话历史互不可见，共用 AppID 的账号使用同一个 access_token
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv, mockWorkersAI, postXML, signedURL, textMessage } from "./helpers.mjs";
+
+test("管理接口写入某账号的会话历史后，另一账号的同名用户读不到", async () => {
+  const env = createEnv({
+    AI: mockWorkersAI(() => "好的"),
+    WECHAT_ACCOUNTS: JSON.stringify({ shop: { originalId: "gh_shop" }, news: { originalId: "gh_news" } })
+  });
+  const history = [{ role: "user", content: "商城的订单号是 123" }, { role: "assistant", content: "已记录" }];
+  const put = await worker.fetch(new Request("https://wechat.example.com/admin/users/o-shared/history?account=shop", {
+    method: "PUT",
+    headers: { Authorization: "Bearer secret" },
+    body: JSON.stringify({ history })
+  }), env, createContext());
+  assert.equal(put.status, 200);
+
+  const ctx = createContext();
+  const response = await postXML(worker, env, ctx, signedURL("token", { path: "/wx/news" }), textMessage("o-shared", "我的订单号是多少"));
+  assert.equal(response.status, 200);
+  await ctx.flush();
+
+  const messages = env.AI.calls[0].options.messages;
+  assert.ok(messages.every(message => !String(message.content).includes("订单号是 123")));
+});
+
+test("多个账号共用 AppID 时只刷新一次 access_token，并同步到每个账号的缓存", async t => {
+  const env = createEnv({
+    WECHAT_APPID: "wx-shared-token",
+    WECHAT_APPSECRET: "appsecret",
+    SCHEDULED_JOBS: "token",
+    WECHAT_ACCOUNTS: JSON.stringify({ shop: { originalId: "gh_shop" }, news: { originalId: "gh_news" } })
+  });
+  // shop 账号缓存中仍有一个未到预刷新时间、但会被本次刷新作废的旧 token
+  await env.AI_CHAT_HISTORY.put("account:shop:cache:access_token:wx-shared-token", JSON.stringify({
+    token: "token-old",
+    expireAt: Date.now() + 60 * 60 * 1000
+  }));
+  const fetchMock = t.mock.method(globalThis, "fetch", async () => Response.json({ access_token: "token-new", expires_in: 7200 }));
+
+  const results = await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, env, createContext());
+  assert.equal(fetchMock.mock.callCount(), 1);
+  assert.equal(results.default.token.refreshed, true);
+  assert.equal(results.shop.token.synced, true);
+
+  for (const prefix of ["", "account:shop:", "account:news:"]) {
+    const cached = JSON.parse(env.AI_CHAT_HISTORY.store.get(`${prefix}cache:access_token:wx-shared-token`).value);
+    assert.equal(cached.token, "token-new");
+  }
+});
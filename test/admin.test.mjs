@@ -0,0 +1,33 @@
+// 管理接口：鉴权与路径解析
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv } from "./helpers.mjs";
+
+function adminRequest(env, path, init = {}) {
+  return worker.fetch(new Request(`https://wechat.example.com${path}`, {
+    ...init,
+    headers: { Authorization: "Bearer secret", ...init.headers }
+  }), env, createContext());
+}
+
+test("未携带正确的密钥返回 401", async () => {
+  const response = await worker.fetch(new Request("https://wechat.example.com/admin/users"), createEnv(), createContext());
+  assert.equal(response.status, 401);
+});
+
+test("写入并读取编码过的 OpenID 的会话历史", async () => {
+  const env = createEnv();
+  const history = [{ role: "user", content: "你好" }, { role: "assistant", content: "你好！" }];
+  const put = await adminRequest(env, "/admin/users/o%2Dabc/history", { method: "PUT", body: JSON.stringify({ history }) });
+  assert.equal(put.status, 200);
+
+  const get = await adminRequest(env, "/admin/users/o-abc/history");
+  assert.deepEqual((await get.json()).history, history);
+});
+
+test("路径中的非法百分号编码返回 400", async () => {
+  const response = await adminRequest(createEnv(), "/admin/users/%E0/history");
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, "路径编码无效");
+});
@@ -0,0 +1,92 @@
+// 自动回复规则：时间窗口按北京时间（UTC+8）判断，按 priority 从高到低匹配
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv, postXML, readReplyField, signedURL, textMessage } from "./helpers.mjs";
+
+let nextMsgId = 1;
+
+async function replyAt(t, iso, rules, content) {
+  const now = Date.parse(iso);
+  const dateMock = t.mock.method(Date, "now", () => now);
+  try {
+    const env = createEnv({ AUTO_REPLY_RULES: JSON.stringify(rules) });
+    const response = await postXML(worker, env, createContext(), signedURL("token"), textMessage("o-autoreply", content, String(nextMsgId++)));
+    return readReplyField(await response.text(), "Content");
+  } finally {
+    dateMock.mock.restore();
+  }
+}
+
+const DAYTIME = [{ type: "contains", pattern: "客服", reply: "白天", timeWindow: { start: "09:00", end: "18:00" } }];
+const OVERNIGHT = [{ type: "contains", pattern: "客服", reply: "夜间", timeWindow: { start: "18:00", end: "09:00" } }];
+const WEEKDAYS = [{ type: "contains", pattern: "客服", reply: "工作日", timeWindow: { weekdays: [1, 2, 3, 4, 5] } }];
+
+test("时间窗口按北京时间判断，跨午夜的窗口覆盖当晚和次日凌晨", async t => {
+  // 2030-01-01 为周二；未命中规则时由 AI 回复「好的」
+  const cases = [
+    { name: "北京时间 09:00 为窗口起点，包含在内", rules: DAYTIME, now: "2030-01-01T01:00:00Z", expected: "白天" },
+    { name: "北京时间 18:00 为窗口终点，不包含在内", rules: DAYTIME, now: "2030-01-01T10:00:00Z", expected: "好的" },
+    { name: "UTC 23:30 已是北京时间次日 07:30", rules: DAYTIME, now: "2030-01-01T23:30:00Z", expected: "好的" },
+    { name: "UTC 08:00 为北京时间 16:00", rules: DAYTIME, now: "2030-01-01T08:00:00Z", expected: "白天" },
+    { name: "跨午夜窗口：北京时间 23:30", rules: OVERNIGHT, now: "2030-01-01T15:30:00Z", expected: "夜间" },
+    { name: "跨午夜窗口：北京时间次日 01:00", rules: OVERNIGHT, now: "2030-01-01T17:00:00Z", expected: "夜间" },
+    { name: "跨午夜窗口：北京时间 08:59", rules: OVERNIGHT, now: "2030-01-02T00:59:00Z", expected: "夜间" },
+    { name: "跨午夜窗口：北京时间 09:00 结束", rules: OVERNIGHT, now: "2030-01-02T01:00:00Z", expected: "好的" },
+    { name: "跨午夜窗口：北京时间 12:00", rules: OVERNIGHT, now: "2030-01-02T04:00:00Z", expected: "好的" },
+    { name: "UTC 周五 20:00 已是北京时间周六 04:00", rules: WEEKDAYS, now: "2030-01-04T20:00:00Z", expected: "好的" },
+    { name: "UTC 周日 17:00 已是北京时间周一 01:00", rules: WEEKDAYS, now: "2030-01-06T17:00:00Z", expected: "工作日" }
+  ];
+  for (const { name, rules, now, expected } of cases) {
+    assert.equal(await replyAt(t, now, rules, "找客服"), expected, name);
+  }
+});
+
+test("多条规则同时命中时按 priority 从高到低，相同优先级按配置顺序", async t => {
+  const now = "2030-01-01T04:00:00Z"; // 北京时间周二 12:00
+  const cases = [
+    {
+      name: "priority 高的规则优先，与配置顺序无关",
+      rules: [
+        { type: "contains", pattern: "客服", reply: "包含" },
+        { type: "exact", pattern: "客服", reply: "完全匹配", priority: 10 }
+      ],
+      expected: "完全匹配"
+    },
+    {
+      name: "优先级相同时取配置中靠前的规则",
+      rules: [
+        { type: "contains", pattern: "客", reply: "第一条" },
+        { type: "contains", pattern: "服", reply: "第二条" }
+      ],
+      expected: "第一条"
+    },
+    {
+      name: "停用的规则即使优先级更高也不参与匹配",
+      rules: [
+        { type: "exact", pattern: "客服", reply: "已停用", priority: 10, enabled: false },
+        { type: "contains", pattern: "客服", reply: "启用中" }
+      ],
+      expected: "启用中"
+    },
+    {
+      name: "高优先级规则不在时间窗口内时匹配下一条",
+      rules: [
+        { type: "exact", pattern: "客服", reply: "夜间", priority: 10, timeWindow: { start: "18:00", end: "09:00" } },
+        { type: "regex", pattern: "^(客)服$", reply: "{1}服在线" }
+      ],
+      expected: "客服在线"
+    },
+    {
+      name: "priority 为字符串时按数值比较",
+      rules: [
+        { type: "contains", pattern: "客服", reply: "优先级 9", priority: "9" },
+        { type: "contains", pattern: "客服", reply: "优先级 10", priority: "10" }
+      ],
+      expected: "优先级 10"
+    }
+  ];
+  for (const { name, rules, expected } of cases) {
+    assert.equal(await replyAt(t, now, rules, "客服"), expected, name);
+  }
+});
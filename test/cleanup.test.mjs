@@ -0,0 +1,61 @@
+// 定时清理：活跃记录的过期时间跟随 HISTORY_KV_TTL_SECONDS
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv, postXML, signedURL, textMessage } from "./helpers.mjs";
+
+const NINETY_DAYS = 90 * 24 * 60 * 60;
+
+test("活跃记录使用 HISTORY_KV_TTL_SECONDS，清理只删除没有活跃记录的用户数据", async () => {
+  const env = createEnv({ HISTORY_KV_TTL_SECONDS: String(NINETY_DAYS) });
+  const ctx = createContext();
+  await postXML(worker, env, ctx, signedURL("token"), textMessage("user-cleanup-active", "你好"));
+  await ctx.flush();
+
+  const store = env.AI_CHAT_HISTORY.store;
+  assert.equal(store.get("active:user-cleanup-active").expirationTtl, NINETY_DAYS);
+  assert.equal(store.get("user-cleanup-active").expirationTtl, NINETY_DAYS);
+
+  await env.AI_CHAT_HISTORY.put("user-cleanup-stale", "[]");
+  await env.AI_CHAT_HISTORY.put("settings:user-cleanup-stale", "{}");
+
+  // 首次运行只为没有活跃记录的旧数据补写记录
+  const seeded = await runCleanup(env);
+  assert.equal(seeded.seeded, 1);
+  assert.equal(seeded.deleted, 0);
+  assert.equal(store.get("active:user-cleanup-stale").expirationTtl, NINETY_DAYS);
+
+  // 模拟补写的活跃记录到期
+  store.delete("active:user-cleanup-stale");
+  const results = await runCleanup(env);
+  assert.equal(results.deleted, 2);
+  assert.ok(store.has("user-cleanup-active"));
+  assert.equal(store.has("user-cleanup-stale"), false);
+  assert.equal(store.has("settings:user-cleanup-stale"), false);
+});
+
+test("升级前已有的会话历史在首次清理后保留，管理接口写入的历史也不会被清理", async () => {
+  const env = createEnv();
+  const store = env.AI_CHAT_HISTORY.store;
+  await env.AI_CHAT_HISTORY.put("user-cleanup-legacy", JSON.stringify([{ role: "user", content: "你好" }]));
+
+  await runCleanup(env);
+  await runCleanup(env);
+  assert.ok(store.has("user-cleanup-legacy"));
+
+  const put = await worker.fetch(new Request("https://wechat.example.com/admin/users/user-cleanup-admin/history", {
+    method: "PUT",
+    headers: { Authorization: "Bearer secret" },
+    body: JSON.stringify({ history: [{ role: "assistant", content: "欢迎回来" }] })
+  }), env, createContext());
+  assert.equal(put.status, 200);
+
+  const results = await runCleanup(env);
+  assert.equal(results.deleted, 0);
+  assert.ok(store.has("user-cleanup-admin"));
+});
+
+async function runCleanup(env) {
+  const results = await worker.scheduled({ cron: "0 0 * * *", scheduledTime: Date.now() }, { ...env, SCHEDULED_JOBS: "cleanup" }, createContext());
+  return results.default.cleanup;
+}
@@ -0,0 +1,137 @@
+// 安全模式加解密：先用腾讯 WXBizMsgCrypt 官方示例中的密文和签名验证解密结果，
+// 其余用例使用微信官方示例的 EncodingAESKey、AppID 和 Token，
+// 密文按官方规则（random(16B) + msg_len + msg + appid，32 字节 PKCS#7 填充，AES-256-CBC）由 Node crypto 独立生成
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCipheriv, createDecipheriv } from "node:crypto";
+import worker from "../worker.js";
+import { createContext, createEnv, mockWorkersAI, postXML, readReplyField, sha1Signature, signedURL } from "./helpers.mjs";
+
+const ENCODING_AES_KEY = "abcdefghijklmnopqrstuvwxyz0123456789ABCDEFG";
+const APPID = "wx2c2769f8efd9abc2";
+const TOKEN = "spamtest";
+const NONCE = "1320562132";
+const AES_KEY = Buffer.from(`${ENCODING_AES_KEY}=`, "base64");
+const SAMPLE_XML = "<xml><ToUserName><![CDATA[gh_10f6c3c3ac5a]]></ToUserName>"
+  + "<FromUserName><![CDATA[oyORnuP8q7ou2gfYjqLzSIWZf0rs]]></FromUserName><CreateTime>1409735668</CreateTime>"
+  + "<MsgType><![CDATA[text]]></MsgType><Content><![CDATA[abcdteT]]></Content><MsgId>6054768590064713728</MsgId></xml>";
+
+function encrypt(xml, appId = APPID) {
+  const msg = Buffer.from(xml);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(msg.length);
+  const plain = Buffer.concat([Buffer.from("0123456789abcdef"), length, msg, Buffer.from(appId)]);
+  const padLength = 32 - (plain.length % 32);
+  const cipher = createCipheriv("aes-256-cbc", AES_KEY, AES_KEY.subarray(0, 16)).setAutoPadding(false);
+  return Buffer.concat([cipher.update(Buffer.concat([plain, Buffer.alloc(padLength, padLength)])), cipher.final()]).toString("base64");
+}
+
+function decrypt(encrypted, key = AES_KEY) {
+  const decipher = createDecipheriv("aes-256-cbc", key, key.subarray(0, 16)).setAutoPadding(false);
+  const plain = Buffer.concat([decipher.update(Buffer.from(encrypted, "base64")), decipher.final()]);
+  const padLength = plain[plain.length - 1];
+  assert.ok(padLength >= 1 && padLength <= 32, "填充长度应在 1~32 之间");
+  const length = plain.readUInt32BE(16);
+  return { xml: plain.subarray(20, 20 + length).toString(), appId: plain.subarray(20 + length, plain.length - padLength).toString() };
+}
+
+function createSecureEnv() {
+  return createEnv({
+    WECHAT_TOKEN: TOKEN,
+    WECHAT_APPID: APPID,
+    WECHAT_ENCODING_AES_KEY: ENCODING_AES_KEY,
+    AI: mockWorkersAI(messages => `收到：${messages.at(-1).content}`)
+  });
+}
+
+function securePost(env, encrypted, { msgSignature, nonce = String(Math.floor(Math.random() * 1e10)) } = {}) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const url = signedURL(TOKEN, {
+    timestamp,
+    nonce,
+    extra: { encrypt_type: "aes", msg_signature: msgSignature ?? sha1Signature(TOKEN, timestamp, nonce, encrypted) }
+  });
+  const body = `<xml><ToUserName><![CDATA[gh_10f6c3c3ac5a]]></ToUserName><Encrypt><![CDATA[${encrypted}]]></Encrypt></xml>`;
+  return postXML(worker, env, createContext(), url, body);
+}
+
+// 腾讯 WXBizMsgCrypt 官方示例（企业微信与公众号安全模式使用同一套算法，ReceiveId 即 AppID）
+const OFFICIAL_SAMPLE = {
+  token: "QDG6eK",
+  appId: "wx5823bf96d3bd56c7",
+  encodingAesKey: "jWmYm7qr5nMoAUwZRjGtBxmz3KA1tkAj3ykkR6q2B2C",
+  msgSignature: "477715d11cdb4164915debcba66cb864d751f3e6",
+  timestamp: "1409659813",
+  nonce: "1372623149",
+  encrypt: "RypEvHKD8QQKFhvQ6QleEB4J58tiPdvo+rtK1I9qca6aM/wvqnLSV5zEPeusUiX5L5X/0lWfrf0QADHHhGd3QczcdCUpj911L3vg3W/sYYvuJTs3TUUkSUXxaccAS0qhxchrRYt66wiSpGLYL42aM6A8dTT+6k4aSknmPj48kzJs8qLjvd4Xgpue06DOdnLxAUHzM6+kDZ+HMZfJYuR+LtwGc2hgf5gsijff0ekUNXZiqATP7PF5mZxZ3Izoun1s4zG4LUMnvw2r+KqCKIw+3IQH03v+BCA9nMELNqbSf6tiWSrXJB3LAVGUcallcrw8V2t9EL4EhzJWrQUax5wLVMNS0+rUPA3k22Ncx4XXZS9o0MBH27Bo6BpNelZpS+/uh9KsNlY6bHCmJU9p8g7m3fVKn28H3KDYA5Pl/T8Z1ptDAVe0lXdQ2YoyyH2uyPIGHBZZIs2pDBS8R07+qN+E7Q=="
+};
+
+test("官方示例：msg_signature 与文档一致，密文解密为文档中的明文", async t => {
+  // 示例时间戳为 2014 年，固定当前时间以通过时间戳校验
+  t.mock.method(Date, "now", () => Number(OFFICIAL_SAMPLE.timestamp) * 1000 + 1000);
+  const { token, appId, encodingAesKey, msgSignature, timestamp, nonce, encrypt: encrypted } = OFFICIAL_SAMPLE;
+  assert.equal(sha1Signature(token, timestamp, nonce, encrypted), msgSignature);
+
+  const env = createEnv({
+    WECHAT_TOKEN: token,
+    WECHAT_APPID: appId,
+    WECHAT_ENCODING_AES_KEY: encodingAesKey,
+    AI: mockWorkersAI(messages => `收到：${messages.at(-1).content}`)
+  });
+  const url = signedURL(token, { timestamp, nonce, extra: { encrypt_type: "aes", msg_signature: msgSignature } });
+  const body = `<xml><ToUserName><![CDATA[${appId}]]></ToUserName><Encrypt><![CDATA[${encrypted}]]></Encrypt><AgentID><![CDATA[218]]></AgentID></xml>`;
+  const response = await postXML(worker, env, createContext(), url, body);
+
+  // 文档明文：FromUserName 为 mycreate，Content 为 hello
+  assert.equal(response.status, 200);
+  assert.equal(env.AI.calls[0].options.messages.at(-1).content, "hello");
+  const reply = await response.text();
+  assert.equal(readReplyField(reply, "MsgSignature"), sha1Signature(token, readReplyField(reply, "TimeStamp"), nonce, readReplyField(reply, "Encrypt")));
+  const { xml, appId: replyAppId } = decrypt(readReplyField(reply, "Encrypt"), Buffer.from(`${encodingAesKey}=`, "base64"));
+  assert.equal(replyAppId, appId);
+  assert.equal(readReplyField(xml, "ToUserName"), "mycreate");
+  assert.equal(readReplyField(xml, "Content"), "收到：hello");
+});
+
+test("解密官方示例参数下的密文，回复按安全模式加密并可还原", async () => {
+  const env = createSecureEnv();
+  const response = await securePost(env, encrypt(SAMPLE_XML), { nonce: NONCE });
+  assert.equal(response.status, 200);
+  const body = await response.text();
+
+  // 回复的 msg_signature 校验
+  const encrypted = readReplyField(body, "Encrypt");
+  const timestamp = readReplyField(body, "TimeStamp");
+  const nonce = readReplyField(body, "Nonce");
+  assert.equal(nonce, NONCE);
+  assert.equal(readReplyField(body, "MsgSignature"), sha1Signature(TOKEN, timestamp, nonce, encrypted));
+
+  // 回复密文按 32 字节填充，解密后带有 AppID，内容为交换收发方的明文回复
+  const { xml, appId } = decrypt(encrypted);
+  assert.equal(appId, APPID);
+  assert.equal(readReplyField(xml, "ToUserName"), "oyORnuP8q7ou2gfYjqLzSIWZf0rs");
+  assert.equal(readReplyField(xml, "FromUserName"), "gh_10f6c3c3ac5a");
+  assert.equal(readReplyField(xml, "Content"), "收到：abcdteT");
+  assert.equal(env.AI.calls.length, 1);
+});
+
+test("明文长度恰好为 32 的倍数时填充一整块", async () => {
+  const env = createSecureEnv();
+  // random + msg_len + msg + appid 共 20 + 18 + n 字节，凑成 32 的倍数
+  const base = SAMPLE_XML.replace("abcdteT", "");
+  const filler = "x".repeat(64 - ((20 + APPID.length + Buffer.byteLength(base)) % 32));
+  const response = await securePost(env, encrypt(base.replace("<Content><![CDATA[]]>", `<Content><![CDATA[${filler}]]>`)));
+  assert.equal(response.status, 200);
+  const { xml } = decrypt(readReplyField(await response.text(), "Encrypt"));
+  assert.equal(readReplyField(xml, "Content"), `收到：${filler}`);
+});
+
+test("msg_signature 不匹配时返回 403", async () => {
+  const response = await securePost(createSecureEnv(), encrypt(SAMPLE_XML), { msgSignature: "0".repeat(40) });
+  assert.equal(response.status, 403);
+});
+
+test("AppID 不匹配时解密失败返回 400", async () => {
+  const response = await securePost(createSecureEnv(), encrypt(SAMPLE_XML, "wx0000000000000000"));
+  assert.equal(response.status, 400);
+});
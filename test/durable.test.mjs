@@ -0,0 +1,74 @@
+// Durable Object 存储：同一用户并发的多轮对话都写入对象，alarm 到期后清空对象
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker, { ConversationStore } from "../worker.js";
+import { createContext, createEnv, createMemoryDurableNamespace, mockWorkersAI, postXML, signedURL, textMessage } from "./helpers.mjs";
+
+const THIRTY_DAYS_MS = 30 * 24 * 60 * 60 * 1000;
+
+function createDurableEnv(overrides = {}) {
+  return createEnv({
+    HISTORY_STORE: "durable-object",
+    CONVERSATION_STORE: createMemoryDurableNamespace(ConversationStore),
+    ...overrides
+  });
+}
+
+test("同一用户并发发送的多轮对话都追加到对象中，不会互相覆盖", async () => {
+  // 回复延迟不同，让各轮对话以与发送顺序不同的次序完成
+  const env = createDurableEnv({
+    AI: mockWorkersAI(async messages => {
+      const question = messages.at(-1).content;
+      await new Promise(resolve => setTimeout(resolve, question === "第一问" ? 30 : 0));
+      return `回答${question}`;
+    })
+  });
+  const user = "o-durable-concurrent";
+
+  const ctx = createContext();
+  await Promise.all(["第一问", "第二问", "第三问"].map(content =>
+    postXML(worker, env, ctx, signedURL("token"), textMessage(user, content))
+  ));
+  await ctx.flush();
+
+  const { storage } = env.CONVERSATION_STORE.objects.get(user);
+  const { history } = storage.data.get("conversation");
+  assert.equal(history.length, 6);
+  for (const question of ["第一问", "第二问", "第三问"]) {
+    const index = history.findIndex(item => item.role === "user" && item.content === question);
+    assert.deepEqual(history[index + 1], { role: "assistant", content: `回答${question}` });
+  }
+});
+
+test("超出窗口时在对象内裁剪，最多保留 HISTORY_MAX_MESSAGES 条", async () => {
+  const env = createDurableEnv({ HISTORY_MAX_MESSAGES: "4" });
+  const user = "o-durable-trim";
+
+  const ctx = createContext();
+  await Promise.all(["一", "二", "三"].map(content => postXML(worker, env, ctx, signedURL("token"), textMessage(user, content))));
+  await ctx.flush();
+
+  const { history } = env.CONVERSATION_STORE.objects.get(user).storage.data.get("conversation");
+  assert.equal(history.length, 4);
+});
+
+test("alarm 到期后清空对象中的会话，之后的对话不再带上旧历史", async () => {
+  const env = createDurableEnv();
+  const user = "o-durable-alarm";
+
+  const ctx = createContext();
+  await postXML(worker, env, ctx, signedURL("token"), textMessage(user, "记住我叫小明"));
+  await ctx.flush();
+
+  const object = env.CONVERSATION_STORE.objects.get(user);
+  assert.ok(object.storage.data.has("conversation"));
+  const alarm = await object.storage.getAlarm();
+  assert.ok(Math.abs(alarm - (Date.now() + THIRTY_DAYS_MS)) < 60 * 1000);
+
+  await object.instance.alarm();
+  assert.equal(object.storage.data.size, 0);
+
+  await postXML(worker, env, createContext(), signedURL("token"), textMessage(user, "我叫什么"));
+  const messages = env.AI.calls.at(-1).options.messages;
+  assert.ok(messages.every(message => !message.content.includes("小明")));
+});
@@ -0,0 +1,155 @@
+// 测试辅助：内存版 KV、带签名的微信推送请求、waitUntil 收集，直接调用 worker 的 fetch 入口
+import { createHash, randomBytes } from "node:crypto";
+
+export const WECHAT_UA = "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) MicroMessenger/8.0.40";
+
+export function createMemoryKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const entry = store.get(key);
+      if (!entry) return null;
+      return type === "json" ? JSON.parse(entry.value) : entry.value;
+    },
+    async put(key, value, options = {}) {
+      store.set(key, { value: String(value), metadata: options.metadata, expirationTtl: options.expirationTtl });
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+    async list({ prefix = "" } = {}) {
+      const keys = [...store.keys()]
+        .filter(name => name.startsWith(prefix))
+        .sort()
+        .map(name => ({ name, metadata: store.get(name).metadata }));
+      return { keys, list_complete: true };
+    }
+  };
+}
+
+// 模拟 Durable Object 命名空间：每个名称对应一个对象实例和一份内存存储。
+// 真实环境中 input gate 保证存储操作期间不会交错处理同一对象的其他请求，这里按对象依次处理请求来模拟
+export function createMemoryDurableNamespace(ObjectClass) {
+  const objects = new Map();
+  return {
+    objects,
+    idFromName: name => name,
+    get(id) {
+      if (!objects.has(id)) {
+        const storage = createMemoryStorage();
+        objects.set(id, { storage, instance: new ObjectClass({ storage }), queue: Promise.resolve() });
+      }
+      const object = objects.get(id);
+      return {
+        fetch(url, init) {
+          const response = object.queue.then(() => object.instance.fetch(new Request(url, init)));
+          object.queue = response.catch(() => {});
+          return response;
+        }
+      };
+    }
+  };
+}
+
+// Durable Object 的 storage：值按结构化克隆保存，alarm 只记录时间，由测试手动触发
+export function createMemoryStorage() {
+  const data = new Map();
+  let alarm = null;
+  return {
+    data,
+    async get(key) {
+      return structuredClone(data.get(key));
+    },
+    async put(key, value) {
+      data.set(key, structuredClone(value));
+    },
+    async delete(key) {
+      return data.delete(key);
+    },
+    async deleteAll() {
+      data.clear();
+    },
+    async getAlarm() {
+      return alarm;
+    },
+    async setAlarm(time) {
+      alarm = time;
+    }
+  };
+}
+
+export function createContext() {
+  const pending = [];
+  return {
+    waitUntil(promise) {
+      pending.push(promise);
+    },
+    async flush() {
+      while (pending.length > 0) {
+        await pending.shift();
+      }
+    }
+  };
+}
+
+export function sha1Signature(...parts) {
+  return createHash("sha1").update(parts.sort().join("")).digest("hex");
+}
+
+// 按微信的规则生成带 signature / timestamp / nonce 的地址，extra 为额外的查询参数
+export function signedURL(token, { path = "/", timestamp, nonce, extra = {} } = {}) {
+  const params = new URLSearchParams({
+    timestamp: timestamp || String(Math.floor(Date.now() / 1000)),
+    nonce: nonce || randomBytes(5).toString("hex"),
+    ...extra
+  });
+  params.set("signature", sha1Signature(token, params.get("timestamp"), params.get("nonce")));
+  return `https://wechat.example.com${path}?${params}`;
+}
+
+export function postXML(worker, env, ctx, url, body) {
+  return worker.fetch(new Request(url, {
+    method: "POST",
+    headers: { "User-Agent": WECHAT_UA, "Content-Type": "text/xml" },
+    body
+  }), env, ctx);
+}
+
+export function textMessage(from, content, msgId = String(Date.now()) + randomBytes(2).readUInt16BE()) {
+  return `<xml><ToUserName><![CDATA[gh_test]]></ToUserName><FromUserName><![CDATA[${from}]]></FromUserName>`
+    + `<CreateTime>${Math.floor(Date.now() / 1000)}</CreateTime><MsgType><![CDATA[text]]></MsgType>`
+    + `<Content><![CDATA[${content}]]></Content><MsgId>${msgId}</MsgId></xml>`;
+}
+
+// 取出被动回复中的字段（CDATA 或纯文本）
+export function readReplyField(xml, name) {
+  const match = xml.match(new RegExp(`<${name}>(?:<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>|([^<]*))</${name}>`));
+  return match ? match[1] ?? match[2] : null;
+}
+
+// 各测试共用的环境变量：测试 Token、管理密钥、内存 KV，AI 使用 mockWorkersAI 固定回复「好的」
+export function createEnv(overrides = {}) {
+  return {
+    WECHAT_TOKEN: "token",
+    ADMIN_SECRET: "secret",
+    AI_PROVIDER: "workers-ai",
+    AI: mockWorkersAI(() => "好的"),
+    AI_CHAT_HISTORY: createMemoryKV(),
+    ...overrides
+  };
+}
+
+// 模拟 Workers AI：chat 调用返回 reply(messages) 的结果，记录每次调用的参数；
+// reply 返回对象时原样作为调用结果（如带 tool_calls 的工具调用轮次）
+export function mockWorkersAI(reply) {
+  const calls = [];
+  return {
+    calls,
+    async run(model, options) {
+      calls.push({ model, options });
+      const result = await reply(options.messages || [], model, options);
+      return typeof result === "object" && result !== null ? result : { response: result };
+    }
+  };
+}
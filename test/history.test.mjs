@@ -0,0 +1,39 @@
+// 会话历史：滚动摘要在后台生成，期间清空对话不应被摘要回写覆盖
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv, mockWorkersAI, postXML, signedURL, textMessage } from "./helpers.mjs";
+
+test("摘要生成期间清空对话，摘要完成后不会把旧历史写回 KV", async () => {
+  let releaseSummary;
+  const summaryGate = new Promise(resolve => { releaseSummary = resolve; });
+  const env = createEnv({
+    HISTORY_SUMMARY: "true",
+    HISTORY_MAX_MESSAGES: "2",
+    AI: mockWorkersAI(async messages => {
+      if (messages[0]?.content?.includes("滚动摘要")) {
+        await summaryGate;
+        return "用户问过两次天气";
+      }
+      return "好的";
+    })
+  });
+  const user = "o-summary-clear";
+
+  const first = createContext();
+  await postXML(worker, env, first, signedURL("token"), textMessage(user, "今天天气怎么样"));
+  await first.flush();
+
+  // 第二轮超出 2 条的窗口，触发后台摘要，此时不等待摘要完成
+  const second = createContext();
+  await postXML(worker, env, second, signedURL("token"), textMessage(user, "明天呢"));
+
+  const clear = createContext();
+  await postXML(worker, env, clear, signedURL("token"), textMessage(user, "清空对话"));
+  await clear.flush();
+  assert.equal(env.AI_CHAT_HISTORY.store.has(user), false);
+
+  releaseSummary();
+  await second.flush();
+  assert.equal(env.AI_CHAT_HISTORY.store.has(user), false);
+});
@@ -0,0 +1,44 @@
+// 图片生成：微信重试同一 MsgId 时复用本次生成的图片，不重复调用模型、不重复上传素材
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv, mockWorkersAI, postXML, readReplyField, signedURL, textMessage } from "./helpers.mjs";
+
+const PNG_BASE64 = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).toString("base64");
+
+test("重试同一条画图消息只生成和上传一次图片", async t => {
+  let uploads = 0;
+  t.mock.method(globalThis, "fetch", async url => {
+    if (String(url).includes("/cgi-bin/token")) {
+      return Response.json({ access_token: "token-image", expires_in: 7200 });
+    }
+    uploads++;
+    return Response.json({ media_id: `media-${uploads}` });
+  });
+  const env = createEnv({
+    IMAGE_GENERATION: "true",
+    WECHAT_APPID: "wx-image",
+    WECHAT_APPSECRET: "appsecret",
+    AI: mockWorkersAI(async () => {
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return { image: PNG_BASE64 };
+    })
+  });
+  const message = textMessage("o-image-retry", "画 一只戴帽子的猫", "8001");
+
+  const ctx = createContext();
+  const responses = await Promise.all([
+    postXML(worker, env, ctx, signedURL("token"), message),
+    postXML(worker, env, ctx, signedURL("token"), message)
+  ]);
+  await ctx.flush();
+  const retry = await postXML(worker, env, createContext(), signedURL("token"), message);
+
+  for (const response of [...responses, retry]) {
+    const xml = await response.text();
+    assert.equal(readReplyField(xml, "MsgType"), "image");
+    assert.equal(readReplyField(xml, "MediaId"), "media-1");
+  }
+  assert.equal(env.AI.calls.length, 1);
+  assert.equal(uploads, 1);
+});
@@ -0,0 +1,151 @@
+// 知识库：切块、检索排序、KB_MIN_SCORE 过滤、重新导入与删除，以及 Vectorize 下的多公众号隔离
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv } from "./helpers.mjs";
+
+// 按关键词出现次数生成向量，余弦相似度可以直接算出来
+const VOCABULARY = ["退货", "发货", "会员", "发票"];
+
+function mockEmbeddings() {
+  const calls = [];
+  return {
+    calls,
+    async run(model, options) {
+      calls.push({ model, options });
+      return { data: options.text.map(text => VOCABULARY.map(word => text.split(word).length - 1)) };
+    }
+  };
+}
+
+function createKnowledgeEnv(overrides = {}) {
+  return createEnv({ KB_ENABLED: "true", AI: mockEmbeddings(), ...overrides });
+}
+
+async function adminRequest(env, path, init = {}) {
+  const response = await worker.fetch(new Request(`https://wechat.example.com/admin/kb${path}`, {
+    ...init,
+    headers: { Authorization: "Bearer secret", ...init.headers }
+  }), env, createContext());
+  return { status: response.status, body: await response.json() };
+}
+
+function ingest(env, doc) {
+  return adminRequest(env, "/documents", { method: "POST", body: JSON.stringify(doc) });
+}
+
+function search(env, query) {
+  return adminRequest(env, `/search?q=${encodeURIComponent(query)}`);
+}
+
+test("按 KB_CHUNK_BYTES 在段落边界切块并逐块向量化", async () => {
+  const env = createKnowledgeEnv({ KB_CHUNK_BYTES: "60" });
+  const paragraphs = ["退货需在签收后七天内申请。", "发货时间为下单后四十八小时内。", "会员每月可领取一张优惠券。"];
+  const { status, body } = await ingest(env, { id: "faq", title: "常见问题", text: paragraphs.join("\n\n") });
+
+  assert.equal(status, 201);
+  assert.equal(body.document.chunkCount, 3);
+  assert.equal(env.AI.calls.length, 1);
+  assert.deepEqual(env.AI.calls[0].options.text, paragraphs);
+
+  const stored = JSON.parse(env.AI_CHAT_HISTORY.store.get("kb:doc:faq").value);
+  assert.deepEqual(stored.chunks.map(chunk => chunk.text), paragraphs);
+  assert.deepEqual(stored.chunks[1].vector, [0, 1, 0, 0]);
+});
+
+test("检索结果按相似度降序，取前 KB_TOP_K 条", async () => {
+  const env = createKnowledgeEnv({ KB_TOP_K: "2", KB_MIN_SCORE: "0" });
+  await ingest(env, { id: "a", title: "退货", text: "退货退货" });
+  await ingest(env, { id: "b", title: "退货与发货", text: "退货后重新发货" });
+  await ingest(env, { id: "c", title: "退货与会员", text: "退货、会员、发票" });
+
+  const { status, body } = await search(env, "退货");
+  assert.equal(status, 200);
+  assert.deepEqual(body.matches.map(match => match.title), ["退货", "退货与发货"]);
+  assert.equal(body.matches[0].score, 1);
+  assert.ok(body.matches[0].score > body.matches[1].score);
+});
+
+test("低于 KB_MIN_SCORE 的段落被过滤", async () => {
+  const env = createKnowledgeEnv({ KB_MIN_SCORE: "0.8" });
+  await ingest(env, { id: "a", title: "退货", text: "退货" });
+  await ingest(env, { id: "b", title: "退货与发货", text: "退货后重新发货" }); // 相似度约 0.707
+  await ingest(env, { id: "c", title: "会员", text: "会员" }); // 相似度为 0
+
+  const { body } = await search(env, "退货");
+  assert.deepEqual(body.matches.map(match => match.title), ["退货"]);
+});
+
+test("同一 id 重新导入时替换旧分块", async () => {
+  const env = createKnowledgeEnv({ KB_MIN_SCORE: "0.5" });
+  await ingest(env, { id: "policy", title: "旧政策", text: "退货需联系客服。" });
+  const { body: reingested } = await ingest(env, { id: "policy", title: "新政策", text: "发货后可开具发票。" });
+  assert.equal(reingested.document.title, "新政策");
+
+  const { body: list } = await adminRequest(env, "/documents");
+  assert.deepEqual(list.documents.map(doc => [doc.id, doc.title]), [["policy", "新政策"]]);
+  assert.deepEqual((await search(env, "退货")).body.matches, []);
+  assert.deepEqual((await search(env, "发票")).body.matches.map(match => match.text), ["发货后可开具发票。"]);
+});
+
+test("删除文档后不再被检索到", async () => {
+  const env = createKnowledgeEnv();
+  await ingest(env, { id: "refund", title: "退货说明", text: "退货需在七天内申请。" });
+  assert.equal((await search(env, "退货")).body.matches.length, 1);
+
+  const deleted = await adminRequest(env, "/documents/refund", { method: "DELETE" });
+  assert.deepEqual(deleted, { status: 200, body: { id: "refund", deleted: true } });
+  assert.equal(env.AI_CHAT_HISTORY.store.has("kb:doc:refund"), false);
+  assert.deepEqual((await adminRequest(env, "/documents")).body.documents, []);
+  assert.deepEqual((await search(env, "退货")).body.matches, []);
+
+  assert.equal((await adminRequest(env, "/documents/refund", { method: "DELETE" })).status, 404);
+});
+
+// 模拟 Vectorize：向量 id 全局唯一，query 传入 namespace 时只在该 namespace 内检索
+function createMemoryVectorize() {
+  const vectors = new Map();
+  const cosine = (a, b) => {
+    const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+    const norm = Math.hypot(...a) * Math.hypot(...b);
+    return norm ? dot / norm : 0;
+  };
+  return {
+    vectors,
+    async upsert(items) {
+      for (const item of items) vectors.set(item.id, item);
+    },
+    async deleteByIds(ids) {
+      for (const id of ids) vectors.delete(id);
+    },
+    async query(values, { topK, namespace }) {
+      const matches = [...vectors.values()]
+        .filter(item => namespace === undefined || item.namespace === namespace)
+        .map(item => ({ id: item.id, score: cosine(values, item.values), metadata: item.metadata }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+      return { matches };
+    }
+  };
+}
+
+test("多公众号共用 Vectorize 索引时按账号隔离", async () => {
+  const env = createKnowledgeEnv({
+    KB_INDEX: createMemoryVectorize(),
+    WECHAT_ACCOUNTS: JSON.stringify({ shop: { originalId: "gh_shop" }, news: { originalId: "gh_news" } })
+  });
+  await ingest(env, { id: "policy", title: "默认", text: "退货请联系客服。" });
+  await adminRequest(env, "/documents?account=shop", { method: "POST", body: JSON.stringify({ id: "policy", title: "商城", text: "退货七天内申请。" }) });
+  await adminRequest(env, "/documents?account=news", { method: "POST", body: JSON.stringify({ id: "policy", title: "资讯", text: "退货不适用于订阅。" }) });
+
+  assert.deepEqual([...env.KB_INDEX.vectors.keys()].sort(), ["news:policy#0", "policy#0", "shop:policy#0"]);
+  assert.equal(env.KB_INDEX.vectors.get("shop:policy#0").namespace, "shop");
+  assert.equal(env.KB_INDEX.vectors.get("shop:policy#0").metadata.account, "shop");
+
+  assert.deepEqual((await search(env, "退货")).body.matches.map(match => match.title), ["默认"]);
+  assert.deepEqual((await adminRequest(env, "/search?q=退货&account=shop")).body.matches.map(match => match.title), ["商城"]);
+
+  await adminRequest(env, "/documents/policy?account=news", { method: "DELETE" });
+  assert.deepEqual([...env.KB_INDEX.vectors.keys()].sort(), ["policy#0", "shop:policy#0"]);
+  assert.deepEqual((await adminRequest(env, "/search?q=退货&account=news")).body.matches, []);
+});
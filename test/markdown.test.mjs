@@ -0,0 +1,62 @@
+// AI 回复的 Markdown 转微信纯文本（MARKDOWN_TRANSFORMS）
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv, mockWorkersAI, postXML, readReplyField, signedURL, textMessage } from "./helpers.mjs";
+
+let userCount = 0;
+
+// 模型返回 markdown，取出被动回复中的文本（合并被 escapeCDATA 拆开的 CDATA 段）
+async function render(markdown, env = {}) {
+  const response = await postXML(worker, createEnv({ AI: mockWorkersAI(() => markdown), ...env }), createContext(),
+    signedURL("token"), textMessage(`user-md-${++userCount}`, "问题"));
+  const xml = await response.text();
+  return { xml, text: readReplyField(xml, "Content").replace(/\]\]><!\[CDATA\[/g, "") };
+}
+
+test("tables：表格逐行展开为「表头：值」", async () => {
+  const { text } = await render("| 城市 | 气温 |\n| --- | ---: |\n| 北京 | 20 |\n| 上海 | 25 |");
+  assert.equal(text, "城市：北京，气温：20\n城市：上海，气温：25");
+});
+
+test("headings：标题转为【标题】", async () => {
+  const { text } = await render("## 总结 ##\n内容\n###### 小节");
+  assert.equal(text, "【总结】\n内容\n【小节】");
+});
+
+test("lists：列表、任务列表和分隔线", async () => {
+  const { text } = await render("- 苹果\n* 香蕉\n  + 嵌套\n1) 第一\n- [ ] 待办\n- [x] 完成\n\n---\n结束");
+  assert.equal(text, "• 苹果\n• 香蕉\n  • 嵌套\n1. 第一\n☐ 待办\n☑ 完成\n\n结束");
+});
+
+test("links：链接和图片转为 <a href> 超链接", async () => {
+  const { text } = await render('见[文档](https://example.com/a?b="c" "标题")和![示意图](https://example.com/p.png)');
+  assert.equal(text, '见<a href="https://example.com/a?b=%22c%22">文档</a>和<a href="https://example.com/p.png">[图片] 示意图</a>');
+});
+
+test("bold：去掉粗体、斜体和删除线标记，保留乘号", async () => {
+  const { text } = await render("**重要** __强调__ *斜体* ~~删除~~ 2 * 3 * 4");
+  assert.equal(text, "重要 强调 斜体 删除 2 * 3 * 4");
+});
+
+test("code：去掉围栏和反引号，代码块中的 ** 原样保留", async () => {
+  const { text } = await render("运行 `npm test`：\n```python\nprint(2 ** 10)  # **不是粗体**\n- 不是列表\n```\n**完成**");
+  assert.equal(text, "运行 npm test：\nprint(2 ** 10)  # **不是粗体**\n- 不是列表\n完成");
+});
+
+test("MARKDOWN_TRANSFORMS=none 时原样返回", async () => {
+  const markdown = "## 标题\n- **项**";
+  const { text } = await render(markdown, { MARKDOWN_TRANSFORMS: "none" });
+  assert.equal(text, markdown);
+});
+
+test("只启用部分转换", async () => {
+  const { text } = await render("## 标题\n- **项** `code`", { MARKDOWN_TRANSFORMS: "headings, lists" });
+  assert.equal(text, "【标题】\n• **项** `code`");
+});
+
+test("escapeCDATA：回复中的 ]]> 被拆分，不会提前结束 CDATA", async () => {
+  const { xml, text } = await render("数组 a[b[0]]>1 时成立");
+  assert.ok(xml.includes("<Content><![CDATA[数组 a[b[0]]]]><![CDATA[>1 时成立]]></Content>"));
+  assert.equal(text, "数组 a[b[0]]>1 时成立");
+});
@@ -0,0 +1,53 @@
+// 内容审核：输入审核与 AI 调用共用回复时限，审核接口超时按异常放行
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv, mockWorkersAI, postXML, readReplyField, signedURL, textMessage } from "./helpers.mjs";
+
+// 在 signal 中止前一直挂起的请求，模拟响应很慢的审核接口
+function hangUntilAborted(signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(Response.json({ results: [{ flagged: false }] })), 5000);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+test("OpenAI 审核接口超时后放行，整体耗时不超过 AI_TIMEOUT_MS", async t => {
+  const signals = [];
+  t.mock.method(globalThis, "fetch", async (url, init = {}) => {
+    signals.push(init.signal);
+    return hangUntilAborted(init.signal);
+  });
+  const env = createEnv({ AI_TIMEOUT_MS: "1000", MODERATION_PROVIDER: "openai", OPENAI_API_KEY: "sk-test" });
+
+  const startedAt = Date.now();
+  const response = await postXML(worker, env, createContext(), signedURL("token"), textMessage("o-moderation-openai", "你好"));
+  assert.equal(response.status, 200);
+  assert.ok(Date.now() - startedAt < 2000);
+  assert.ok(signals[0] instanceof AbortSignal);
+});
+
+test("Workers AI 审核模型超时后放行，不等待审核结果", async () => {
+  const env = createEnv({
+    AI_TIMEOUT_MS: "1000",
+    MODERATION_PROVIDER: "workers-ai",
+    AI: mockWorkersAI((messages, model) => model.includes("llama-guard") ? new Promise(() => {}) : "好的")
+  });
+
+  const startedAt = Date.now();
+  const response = await postXML(worker, env, createContext(), signedURL("token"), textMessage("o-moderation-cf", "你好"));
+  assert.equal(response.status, 200);
+  assert.ok(Date.now() - startedAt < 2000);
+});
+
+test("黑名单正则忽略 g、y 标志，对每条消息都按普通搜索匹配", async () => {
+  const env = createEnv({ MODERATION_BLOCKLIST: "/敏感词/g,/违禁/y", MODERATION_INPUT_REPLY: "已拦截" });
+  for (const content of ["这是敏感词", "又一个敏感词", "包含违禁内容"]) {
+    const response = await postXML(worker, env, createContext(), signedURL("token"), textMessage("o-moderation-regex", content));
+    assert.equal(readReplyField(await response.text(), "Content"), "已拦截");
+  }
+  assert.equal(env.AI.calls.length, 0);
+});
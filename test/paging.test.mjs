@@ -0,0 +1,81 @@
+// 长回复分页：按 UTF-8 字节切分，不拆开代理对和链接，「继续」逐页取回
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv, mockWorkersAI, postXML, readReplyField, signedURL, textMessage } from "./helpers.mjs";
+
+const REPLY_MAX_BYTES = 500;
+const PAGE_HINT = /\n\n（回复「继续」查看剩余 (\d+) 页）$/;
+
+async function send(env, user, content) {
+  const ctx = createContext();
+  const response = await postXML(worker, env, ctx, signedURL("token"), textMessage(user, content));
+  await ctx.flush();
+  return readReplyField(await response.text(), "Content");
+}
+
+// 发送一条消息后不断发送「继续」，返回去掉翻页提示的各页内容
+async function collectPages(env, user, content) {
+  const pages = [];
+  let reply = await send(env, user, content);
+  for (;;) {
+    assert.ok(Buffer.byteLength(reply) <= REPLY_MAX_BYTES, `回复超过 ${REPLY_MAX_BYTES} 字节`);
+    const hint = reply.match(PAGE_HINT);
+    pages.push(reply.replace(PAGE_HINT, ""));
+    if (!hint) return pages;
+    reply = await send(env, user, "继续");
+  }
+}
+
+function createPagingEnv(reply) {
+  return createEnv({ REPLY_MAX_BYTES: String(REPLY_MAX_BYTES), AI: mockWorkersAI(() => reply) });
+}
+
+test("中文与 emoji 混排时按 UTF-8 字节分页，不拆开代理对", async () => {
+  // 不含标点和换行，只能按字符硬切；emoji 为 4 字节的代理对
+  const reply = "天气晴朗😀适合出游🚀".repeat(40);
+  const env = createPagingEnv(reply);
+  const pages = await collectPages(env, "o-paging-emoji", "写一段长文");
+
+  assert.ok(pages.length > 1);
+  for (const page of pages) {
+    assert.ok(page.isWellFormed(), "分页边界拆开了代理对");
+  }
+  assert.equal(pages.join(""), reply);
+  assert.equal(env.AI.calls.length, 1);
+});
+
+test("链接不会被拆到两页", async () => {
+  const url = "https://example.com/docs/guide.html?page=2&lang=zh-CN";
+  const sentence = `参考资料见 ${url} 以及后面的说明，`;
+  const reply = sentence.repeat(12);
+  const pages = await collectPages(createPagingEnv(reply), "o-paging-link", "给我资料");
+
+  assert.ok(pages.length > 1);
+  const links = pages.flatMap(page => page.match(/https?:\/\/\S+/g) || []);
+  assert.equal(links.length, 12);
+  assert.ok(links.every(link => link === url));
+});
+
+test("优先在句子边界分页，「继续」逐页取回直到没有更多内容", async () => {
+  const sentences = Array.from({ length: 30 }, (_, i) => `第${i + 1}句话介绍一个景点，值得一去。`);
+  const env = createPagingEnv(sentences.join(""));
+  const user = "o-paging-flow";
+
+  const first = await send(env, user, "推荐景点");
+  const total = Number(first.match(PAGE_HINT)[1]) + 1;
+  const pages = [first.replace(PAGE_HINT, "")];
+  for (let remaining = total - 2; remaining >= 0; remaining--) {
+    // 英文命令 more 与「继续」等效
+    const reply = await send(env, user, remaining % 2 === 0 ? "继续" : "more");
+    assert.equal(reply.match(PAGE_HINT)?.[1], remaining > 0 ? String(remaining) : undefined);
+    pages.push(reply.replace(PAGE_HINT, ""));
+  }
+
+  for (const page of pages) {
+    assert.ok(page.endsWith("。"), "分页断在了句子中间");
+  }
+  assert.equal(pages.join(""), sentences.join(""));
+  assert.equal(await send(env, user, "继续"), "没有更多内容了。");
+  assert.equal(env.AI.calls.length, 1);
+});
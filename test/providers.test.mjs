@@ -0,0 +1,56 @@
+// 提供方降级链：失败时切换到下一个提供方，总预算用完后不再继续尝试
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv, postXML, readReplyField, signedURL, textMessage } from "./helpers.mjs";
+
+function findRequestLog(logMock, userId) {
+  return logMock.mock.calls
+    .map(call => String(call.arguments[0]))
+    .filter(line => line.startsWith("{"))
+    .map(line => JSON.parse(line))
+    .find(entry => entry.type === "wechat_request" && entry.userId === userId);
+}
+
+test("前一个提供方返回 5xx 时切换到下一个提供方", async t => {
+  const fetchMock = t.mock.method(globalThis, "fetch", async () => Response.json({ error: { message: "overloaded" } }, { status: 503 }));
+  const logMock = t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const env = createEnv({ AI_PROVIDERS: "openai,workers-ai", OPENAI_API_KEY: "sk-test" });
+
+  const response = await postXML(worker, env, createContext(), signedURL("token"), textMessage("o-provider-fallback", "你好"));
+  assert.equal(readReplyField(await response.text(), "Content"), "好的");
+  assert.equal(fetchMock.mock.callCount(), 1);
+  assert.equal(env.AI.calls.length, 1);
+
+  const log = findRequestLog(logMock, "o-provider-fallback");
+  assert.equal(log.provider, "workers-ai");
+  assert.deepEqual(log.failedProviders, ["openai"]);
+});
+
+test("总预算用完后中止当前提供方，且不再尝试后面的提供方", async t => {
+  const signals = [];
+  t.mock.method(globalThis, "fetch", (url, init) => new Promise((resolve, reject) => {
+    signals.push(init.signal);
+    init.signal.addEventListener("abort", () => reject(init.signal.reason), { once: true });
+  }));
+  const errorMock = t.mock.method(console, "error", () => {});
+  t.mock.method(console, "warn", () => {});
+  const env = createEnv({
+    AI_PROVIDERS: "openai,workers-ai",
+    OPENAI_API_KEY: "sk-test",
+    AI_TIMEOUT_MS: "1000",
+    AI_BACKGROUND_TIMEOUT_MS: "1000"
+  });
+
+  const ctx = createContext();
+  const response = await postXML(worker, env, ctx, signedURL("token"), textMessage("o-provider-budget", "你好"));
+  assert.equal(response.status, 200);
+  await ctx.flush();
+
+  assert.equal(signals[0].aborted, true);
+  assert.equal(signals[0].reason.name, "TimeoutError");
+  assert.equal(env.AI.calls.length, 0);
+  const backgroundError = errorMock.mock.calls.find(call => call.arguments[0] === "Background AI Error:");
+  assert.match(backgroundError.arguments[1].message, /workers-ai: 剩余时间不足/);
+});
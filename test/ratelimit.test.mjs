@@ -0,0 +1,84 @@
+// 频率与额度限制：时钟通过 Date.now 模拟，每个用例使用不同的日期，避免全站计数在用例之间累加
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv, postXML, readReplyField, signedURL, textMessage } from "./helpers.mjs";
+
+let nextMsgId = 1;
+
+function mockClock(t, iso) {
+  const clock = { now: Date.parse(iso) };
+  t.mock.method(Date, "now", () => clock.now);
+  return clock;
+}
+
+async function send(env, user, content) {
+  const ctx = createContext();
+  const response = await postXML(worker, env, ctx, signedURL("token"), textMessage(user, content, String(nextMsgId++)));
+  await ctx.flush();
+  return readReplyField(await response.text(), "Content");
+}
+
+test("每分钟限制按用户计数，进入下一分钟后恢复", async t => {
+  const clock = mockClock(t, "2030-01-01T02:00:00Z");
+  const env = createEnv({ RATE_LIMIT_PER_MINUTE: "2" });
+
+  assert.equal(await send(env, "o-rate-minute", "一"), "好的");
+  assert.equal(await send(env, "o-rate-minute", "二"), "好的");
+  assert.equal(await send(env, "o-rate-minute", "三"), "消息太频繁了，每分钟最多 2 条，请稍后再试。");
+  // 其他用户不受影响
+  assert.equal(await send(env, "o-rate-minute-other", "一"), "好的");
+  assert.equal(env.AI.calls.length, 3);
+
+  clock.now += 60 * 1000;
+  assert.equal(await send(env, "o-rate-minute", "四"), "好的");
+  assert.equal(env.AI.calls.length, 4);
+});
+
+test("每日限制在北京时间零点重置", async t => {
+  // UTC 15:59 即北京时间 23:59
+  const clock = mockClock(t, "2030-01-02T15:59:00Z");
+  const env = createEnv({ RATE_LIMIT_PER_DAY: "1" });
+
+  assert.equal(await send(env, "o-rate-day", "一"), "好的");
+  assert.equal(await send(env, "o-rate-day", "二"), "今天的 1 条提问额度已用完，明天再来吧。");
+
+  clock.now += 2 * 60 * 1000;
+  assert.equal(await send(env, "o-rate-day", "三"), "好的");
+  assert.equal(env.AI.calls.length, 2);
+});
+
+test("全站每日上限对所有用户生效，VIP 不受个人限制但计入全站上限", async t => {
+  mockClock(t, "2030-01-03T02:00:00Z");
+  const env = createEnv({
+    GLOBAL_DAILY_LIMIT: "3",
+    RATE_LIMIT_PER_MINUTE: "1",
+    VIP_OPENIDS: "o-rate-vip, o-rate-vip-2"
+  });
+
+  assert.equal(await send(env, "o-rate-vip", "一"), "好的");
+  assert.equal(await send(env, "o-rate-vip", "二"), "好的");
+  assert.equal(await send(env, "o-rate-normal", "一"), "好的");
+  assert.equal(await send(env, "o-rate-normal-2", "一"), "今天的服务额度已用完，请明天再来吧。");
+  assert.equal(await send(env, "o-rate-vip-2", "一"), "今天的服务额度已用完，请明天再来吧。");
+  assert.equal(env.AI.calls.length, 3);
+});
+
+test("内置命令和自动回复不计入限制", async t => {
+  mockClock(t, "2030-01-04T02:00:00Z");
+  const env = createEnv({
+    RATE_LIMIT_PER_MINUTE: "1",
+    AUTO_REPLY_RULES: JSON.stringify([{ type: "exact", pattern: "营业时间", reply: "每天 9:00-18:00 营业" }])
+  });
+  const user = "o-rate-exempt";
+
+  assert.equal(await send(env, user, "营业时间"), "每天 9:00-18:00 营业");
+  assert.equal(await send(env, user, "继续"), "没有更多内容了。");
+  await send(env, user, "清空对话");
+  assert.equal(await send(env, user, "营业时间"), "每天 9:00-18:00 营业");
+
+  assert.equal(await send(env, user, "你好"), "好的");
+  assert.equal(await send(env, user, "营业时间"), "每天 9:00-18:00 营业");
+  assert.equal(await send(env, user, "再问一次"), "消息太频繁了，每分钟最多 1 条，请稍后再试。");
+  assert.equal(env.AI.calls.length, 1);
+});
@@ -0,0 +1,61 @@
+// 推送消息验签与重放拦截
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv, mockWorkersAI, postXML, readReplyField, signedURL, textMessage } from "./helpers.mjs";
+
+function createEchoEnv() {
+  return createEnv({ AI: mockWorkersAI(messages => `回复：${messages.at(-1).content}`) });
+}
+
+test("微信重试同一个签名地址和消息时复用进行中的回复，不重复调用 AI", async () => {
+  const env = createEchoEnv();
+  env.AI = mockWorkersAI(async messages => {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    return `回复：${messages.at(-1).content}`;
+  });
+  const url = signedURL("token");
+  const body = textMessage("user-retry", "你好", "1001");
+
+  const [first, retry] = await Promise.all([
+    postXML(worker, env, createContext(), url, body),
+    postXML(worker, env, createContext(), url, body)
+  ]);
+  assert.equal(first.status, 200);
+  assert.equal(retry.status, 200);
+  assert.equal(readReplyField(await retry.text(), "Content"), "回复：你好");
+  assert.equal(env.AI.calls.length, 1);
+});
+
+test("同一 nonce 携带不同消息视为重放", async () => {
+  const env = createEchoEnv();
+  const url = signedURL("token");
+
+  assert.equal((await postXML(worker, env, createContext(), url, textMessage("user-replay", "第一条", "2001"))).status, 200);
+  const replayed = await postXML(worker, env, createContext(), url, textMessage("user-replay", "伪造", "2002"));
+  assert.equal(replayed.status, 403);
+  assert.equal(env.AI.calls.length, 1);
+});
+
+test("其他实例通过 KV 记录同样能识别重放", async () => {
+  const env = createEchoEnv();
+  const url = signedURL("token");
+  const ctx = createContext();
+  await postXML(worker, env, ctx, url, textMessage("user-kv", "第一条", "3001"));
+  await ctx.flush();
+
+  const record = await env.AI_CHAT_HISTORY.list({ prefix: "nonce:" });
+  assert.equal(record.keys.length, 1);
+  assert.equal(await env.AI_CHAT_HISTORY.get(record.keys[0].name), "3001");
+});
+
+test("签名错误或时间戳过期返回 403", async () => {
+  const env = createEchoEnv();
+  const body = textMessage("user-sign", "你好");
+  const forged = signedURL("wrong-token");
+  assert.equal((await postXML(worker, env, createContext(), forged, body)).status, 403);
+
+  const expired = signedURL("token", { timestamp: String(Math.floor(Date.now() / 1000) - 600) });
+  assert.equal((await postXML(worker, env, createContext(), expired, body)).status, 403);
+  assert.equal(env.AI.calls.length, 0);
+});
@@ -0,0 +1,67 @@
+// 每日统计：用户计数单独保存，stats:<日期> 只保留活跃用户数和排行
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv, postXML, signedURL, textMessage } from "./helpers.mjs";
+
+function beijingDate(timestamp = Date.now()) {
+  return new Date(timestamp + 8 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+async function getStats(env, query) {
+  const response = await worker.fetch(new Request(`https://wechat.example.com/stats?${query}`, {
+    headers: { Authorization: "Bearer secret" }
+  }), env, createContext());
+  return response.json();
+}
+
+test("每个用户的当日计数写入单独的 key，stats:<日期> 不再包含全部用户", async () => {
+  const env = createEnv();
+  const ctx = createContext();
+  for (const [userId, count] of [["user-stats-a", 1], ["user-stats-b", 3], ["user-stats-c", 2]]) {
+    for (let i = 0; i < count; i++) {
+      await postXML(worker, env, ctx, signedURL("token"), textMessage(userId, `第 ${i + 1} 条`));
+    }
+  }
+  await ctx.flush();
+
+  const today = beijingDate();
+  const { days: [summary] } = await getStats(env, "days=1&users=2");
+  assert.equal(summary.date, today);
+  assert.equal(summary.requests, 6);
+  assert.equal(summary.activeUsers, 3);
+  assert.deepEqual(summary.topUsers.map(item => [item.userId, item.requests]), [["user-stats-b", 3], ["user-stats-c", 2]]);
+
+  const stored = JSON.parse(await env.AI_CHAT_HISTORY.get(`stats:${today}`));
+  assert.equal(stored.users, undefined);
+  assert.equal(stored.topUsers.length, 3);
+  assert.deepEqual(JSON.parse(await env.AI_CHAT_HISTORY.get(`stats-user:${today}:user-stats-b`)), { requests: 3, totalTokens: 0 });
+});
+
+test("月度汇总累加每日排行，兼容旧格式的 users", async () => {
+  const env = createEnv();
+  const yesterday = beijingDate(Date.now() - 24 * 60 * 60 * 1000);
+  const month = yesterday.slice(0, 7);
+  // 旧版本的汇总在 users 中记录全部用户
+  await env.AI_CHAT_HISTORY.put(`stats:month:${month}`, JSON.stringify({
+    days: [],
+    stats: { requests: 3, users: { "user-old-a": { requests: 2, totalTokens: 20 }, "user-old-b": { requests: 1, totalTokens: 10 } } }
+  }));
+  await env.AI_CHAT_HISTORY.put(`stats:${yesterday}`, JSON.stringify({
+    requests: 2,
+    activeUsers: 1,
+    topUsers: [{ userId: "user-old-b", requests: 2, totalTokens: 30 }]
+  }));
+
+  await worker.scheduled({ cron: "0 0 * * *", scheduledTime: Date.now() }, { ...env, SCHEDULED_JOBS: "rollup" }, createContext());
+
+  const summary = await getStats(env, `month=${month}`);
+  assert.ok(summary.days.includes(yesterday));
+  assert.equal(summary.requests, 5);
+  assert.equal(summary.activeUsers, 3);
+  assert.deepEqual(summary.topUsers, [
+    { userId: "user-old-b", requests: 3, totalTokens: 40 },
+    { userId: "user-old-a", requests: 2, totalTokens: 20 }
+  ]);
+  assert.equal(JSON.parse(await env.AI_CHAT_HISTORY.get(`stats:month:${month}`)).stats.users, undefined);
+});
@@ -0,0 +1,68 @@
+// 超时回复：超时后 AI 在后台继续生成，微信重试复用同一次调用，「结果」取回回复；流式输出时先回复已生成的部分
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv, mockWorkersAI, postXML, readReplyField, signedURL, textMessage } from "./helpers.mjs";
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function send(env, ctx, user, content, msgId) {
+  const response = await postXML(worker, env, ctx, signedURL("token"), textMessage(user, content, msgId));
+  return readReplyField(await response.text(), "Content");
+}
+
+// Workers AI 流式返回：先下发 first，等待 waitMs 后下发 rest
+function sseStream(first, rest, waitMs) {
+  const encoder = new TextEncoder();
+  const event = text => encoder.encode(`data: ${JSON.stringify({ response: text })}\n\n`);
+  return new ReadableStream({
+    async start(controller) {
+      controller.enqueue(event(first));
+      await delay(waitMs);
+      controller.enqueue(event(rest));
+      controller.enqueue(encoder.encode("data: [DONE]\n\n"));
+      controller.close();
+    }
+  });
+}
+
+test("超时后微信重试同一 MsgId 不会重复调用 AI，完成后发送「结果」取回回复", async () => {
+  const env = createEnv({
+    AI_TIMEOUT_MS: "1000",
+    AI: mockWorkersAI(async () => {
+      await delay(1500);
+      return "这是迟到的回复。";
+    })
+  });
+  const user = "o-timeout-retry";
+  const ctx = createContext();
+
+  assert.equal(await send(env, ctx, user, "讲个故事", "9001"), "消息已收到，处理中稍慢，请稍后发送「结果」查看回复。");
+  // 后台仍在生成时，重试复用进行中的调用，并等到生成完成
+  assert.equal(await send(env, ctx, user, "讲个故事", "9001"), "这是迟到的回复。");
+  await ctx.flush();
+  // 生成完成后的重试从缓存中取回回复
+  assert.equal(await send(env, createContext(), user, "讲个故事", "9001"), "这是迟到的回复。");
+
+  assert.equal(await send(env, createContext(), user, "结果"), "这是迟到的回复。");
+  assert.equal(env.AI.calls.length, 1);
+});
+
+test("流式输出超时先回复已生成的部分，「结果」只返回剩余部分", async () => {
+  const env = createEnv({
+    AI_TIMEOUT_MS: "1000",
+    AI_STREAM: "true",
+    AI: mockWorkersAI((messages, model, options) => options.stream
+      ? sseStream("第一段已经生成好了。", "第二段是后来生成的。", 1500)
+      : "不应走非流式调用")
+  });
+  const user = "o-timeout-partial";
+  const ctx = createContext();
+
+  assert.equal(await send(env, ctx, user, "讲个故事"), "第一段已经生成好了。\n\n……（回复「继续」查看更多）");
+  assert.equal(await send(env, createContext(), user, "结果"), "回复仍在生成中，请稍后再发送「结果」查看。");
+  await ctx.flush();
+
+  assert.equal(await send(env, createContext(), user, "结果"), "第二段是后来生成的。");
+  assert.equal(env.AI.calls.length, 1);
+});
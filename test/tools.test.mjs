@@ -0,0 +1,77 @@
+// 工具调用：模型先返回 tool_calls，工具结果交回模型后得到最终回答
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { createContext, createEnv, mockWorkersAI, postXML, readReplyField, signedURL, textMessage } from "./helpers.mjs";
+
+// 第一轮让模型调用指定工具，第二轮原样回复工具结果；返回交回模型的工具结果（已解析的 JSON）
+async function runToolOnce(name, args) {
+  let toolMessage;
+  const env = createEnv({
+    AI_TOOLS: "all",
+    AI: mockWorkersAI(messages => {
+      toolMessage = messages.find(message => message.role === "tool");
+      return toolMessage ? "算好了" : { tool_calls: [{ name, arguments: args }] };
+    })
+  });
+  const response = await postXML(worker, env, createContext(), signedURL("token"), textMessage("o-tools", "帮我算一下"));
+  assert.equal(readReplyField(await response.text(), "Content"), "算好了");
+  assert.equal(toolMessage.name, name);
+  return JSON.parse(toolMessage.content);
+}
+
+test("一次工具调用往返：工具定义随请求发送，结果以 tool 消息交回模型", async () => {
+  const env = createEnv({
+    AI_TOOLS: "calculator",
+    AI: mockWorkersAI(messages => messages.some(message => message.role === "tool")
+      ? "结果是 7"
+      : { tool_calls: [{ name: "calculator", arguments: { expression: "1+2*3" } }] })
+  });
+  const response = await postXML(worker, env, createContext(), signedURL("token"), textMessage("o-tools-roundtrip", "1+2*3 等于几"));
+
+  assert.equal(readReplyField(await response.text(), "Content"), "结果是 7");
+  assert.equal(env.AI.calls.length, 2);
+  assert.deepEqual(env.AI.calls[0].options.tools.map(tool => tool.name), ["calculator"]);
+  const toolMessage = env.AI.calls[1].options.messages.find(message => message.role === "tool");
+  assert.deepEqual(JSON.parse(toolMessage.content), { expression: "1+2*3", result: 7 });
+});
+
+test("计算器遵循运算符优先级与结合性", async () => {
+  const cases = [
+    ["1+2*3", 7],
+    ["(1+2)*3", 9],
+    ["10-4-3", 3],
+    ["2^3^2", 512],
+    ["2**10", 1024],
+    ["-2^2", -4],
+    ["7%4*2", 6],
+    ["2×3÷4", 1.5],
+    ["0.1+0.2", 0.3]
+  ];
+  for (const [expression, expected] of cases) {
+    assert.equal((await runToolOnce("calculator", { expression })).result, expected, expression);
+  }
+});
+
+test("计算器拒绝除以 0、非法标识符和过长的表达式", async () => {
+  const cases = [
+    ["1/0", /除以了 0/],
+    ["5%0", /除以了 0/],
+    ["Math.PI", /无法识别的符号 M/],
+    ["alert(1)", /无法识别的符号 a/],
+    ["2+x", /无法识别的符号 x/],
+    ["(1+2", /括号不匹配/],
+    [`${"(".repeat(150)}1${")".repeat(150)}`, /表达式过长/]
+  ];
+  for (const [expression, pattern] of cases) {
+    const result = await runToolOnce("calculator", { expression });
+    assert.match(result.error, pattern, expression);
+  }
+});
+
+test("单位换算覆盖长度、质量、温度，不同类别之间不能换算", async () => {
+  assert.equal((await runToolOnce("convert_unit", { value: 1, from: "km", to: "mi" })).result, 0.6213711922);
+  assert.equal((await runToolOnce("convert_unit", { value: 1, from: "斤", to: "g" })).result, 500);
+  assert.equal((await runToolOnce("convert_unit", { value: 100, from: "°F", to: "°C" })).result, 37.7778);
+  assert.match((await runToolOnce("convert_unit", { value: 1, from: "km", to: "kg" })).error, /不支持从 km 换算到 kg/);
+});
@@ -0,0 +1,61 @@
+// 导出对话：签名链接、链接 ID 与路径校验
+import { createHmac } from "node:crypto";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { WECHAT_UA, createContext, createEnv, mockWorkersAI, postXML, readReplyField, signedURL, textMessage } from "./helpers.mjs";
+
+function createTranscriptEnv(overrides = {}) {
+  return createEnv({ TRANSCRIPT_SECRET: "transcript-secret", AI: mockWorkersAI(() => "1 < 2 & 3 > 2"), ...overrides });
+}
+
+function get(env, path) {
+  return worker.fetch(new Request(`https://wechat.example.com${path}`, { headers: { "User-Agent": WECHAT_UA } }), env, createContext());
+}
+
+test("导出链接返回转义后的对话记录页面", async () => {
+  const env = createTranscriptEnv();
+  const ctx = createContext();
+  await postXML(worker, env, ctx, signedURL("token"), textMessage("user-transcript", "<b>问题</b>"));
+  await ctx.flush();
+  const reply = readReplyField(await (await postXML(worker, env, ctx, signedURL("token"), textMessage("user-transcript", "导出对话"))).text(), "Content");
+  const link = reply.match(/https:\/\/wechat\.example\.com(\/transcript\/[^"\s]+)/)[1];
+
+  const response = await get(env, link);
+  assert.equal(response.status, 200);
+  const html = await response.text();
+  assert.ok(html.includes("&lt;b&gt;问题&lt;/b&gt;"));
+  assert.ok(html.includes("1 &lt; 2 &amp; 3 &gt; 2"));
+});
+
+test("导出链接不包含 OpenID，签名有效但链接 ID 不存在时返回 403", async () => {
+  const env = createTranscriptEnv();
+  const ctx = createContext();
+  await postXML(worker, env, ctx, signedURL("token"), textMessage("user-transcript-opaque", "你好"));
+  await ctx.flush();
+  const reply = readReplyField(await (await postXML(worker, env, ctx, signedURL("token"), textMessage("user-transcript-opaque", "导出对话"))).text(), "Content");
+  const token = reply.match(/\/transcript\/([^"\s]+)/)[1];
+
+  const payload = Buffer.from(token.split(".")[0], "base64url").toString();
+  assert.ok(!payload.includes("user-transcript-opaque"));
+  assert.equal((await get(env, `/transcript/${token}`)).status, 200);
+
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(payload), i: "0".repeat(32) })).toString("base64url");
+  const signature = createHmac("sha256", "transcript-secret").update(forged).digest("hex");
+  const response = await get(env, `/transcript/${forged}.${signature}`);
+  assert.equal(response.status, 403);
+});
+
+test("路径编码不合法的导出链接返回 403", async () => {
+  for (const env of [createTranscriptEnv(), createTranscriptEnv({ WECHAT_ACCOUNTS: JSON.stringify({ shop: { originalId: "gh_shop" } }) })]) {
+    const response = await get(env, "/transcript/%E0");
+    assert.equal(response.status, 403);
+    assert.match(await response.text(), /链接无效或已过期/);
+  }
+});
+
+test("多公众号路径编码不合法时返回 404", async () => {
+  const env = createTranscriptEnv({ WECHAT_ACCOUNTS: JSON.stringify({ shop: { originalId: "gh_shop" } }) });
+  const response = await postXML(worker, env, createContext(), signedURL("token", { path: "/wx/%E0" }), textMessage("user-transcript-wx", "你好"));
+  assert.equal(response.status, 404);
+});
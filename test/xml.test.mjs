@@ -0,0 +1,159 @@
+// 微信推送 XML 解析：test/fixtures 下各类消息、事件、安全模式外层和格式错误的消息体
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile, readdir } from "node:fs/promises";
+import { randomBytes } from "node:crypto";
+import worker from "../worker.js";
+import { createContext, createEnv, mockWorkersAI, postXML, readReplyField, sha1Signature, signedURL } from "./helpers.mjs";
+
+const FIXTURES = new URL("./fixtures/", import.meta.url);
+
+function readFixture(name) {
+  return readFile(new URL(name, FIXTURES), "utf8");
+}
+
+function lastUserContent(messages) {
+  return messages.filter(message => message.role === "user").at(-1)?.content;
+}
+
+function createFixtureEnv() {
+  return createEnv({
+    WECHAT_APPID: "wx2c2769f8efd9abc2",
+    WECHAT_ENCODING_AES_KEY: "abcdefghijklmnopqrstuvwxyz0123456789ABCDEFG",
+    AI: mockWorkersAI(messages => `收到：${lastUserContent(messages)}`),
+    WELCOME_MESSAGE: "欢迎关注{scene}",
+    SCENE_WELCOME_MESSAGES: JSON.stringify({ store42: "欢迎光临 42 号门店" }),
+    MENU_ACTIONS: JSON.stringify({ MENU_HOURS: "营业时间 9:00-21:00" })
+  });
+}
+
+async function postFixture(name, env = createFixtureEnv()) {
+  const ctx = createContext();
+  const response = await postXML(worker, env, ctx, signedURL("token"), await readFixture(name));
+  await ctx.flush();
+  return { env, status: response.status, body: await response.text() };
+}
+
+test("文本消息：Content 交给模型，回复交换收发方", async () => {
+  const { status, body } = await postFixture("text.xml");
+  assert.equal(status, 200);
+  assert.equal(readReplyField(body, "Content"), "收到：你好");
+  assert.equal(readReplyField(body, "ToUserName"), "o-fixture-text");
+  assert.equal(readReplyField(body, "FromUserName"), "gh_test");
+});
+
+test("数字形式的 MsgId 和 CreateTime 按纯文本解析", async () => {
+  const { env } = await postFixture("text.xml");
+  const { keys } = await env.AI_CHAT_HISTORY.list({ prefix: "nonce:" });
+  assert.equal(await env.AI_CHAT_HISTORY.get(keys[0].name), "24301234567890001");
+
+  const { env: eventEnv } = await postFixture("event-view.xml");
+  const { keys: eventKeys } = await eventEnv.AI_CHAT_HISTORY.list({ prefix: "nonce:" });
+  assert.equal(await eventEnv.AI_CHAT_HISTORY.get(eventKeys[0].name), "o-fixture-view:1700000010");
+});
+
+test("语音消息：使用 Recognition 并去掉句末标点", async () => {
+  const { body } = await postFixture("voice.xml");
+  assert.equal(readReplyField(body, "Content"), "收到：今天天气怎么样");
+});
+
+test("图片消息：下载 PicUrl 交给视觉模型", async t => {
+  const requested = [];
+  t.mock.method(globalThis, "fetch", async url => {
+    requested.push(String(url));
+    return new Response(new Uint8Array([1, 2, 3]), { headers: { "Content-Type": "image/jpeg" } });
+  });
+  const { env, body } = await postFixture("image.xml");
+
+  assert.deepEqual(requested, ["https://mmbiz.example.com/pic.jpg"]);
+  assert.deepEqual(env.AI.calls[0].options.image, [1, 2, 3]);
+  assert.match(readReplyField(body, "Content"), /^收到：请描述这张图片的内容/);
+});
+
+test("位置消息：整理为地点和经纬度", async () => {
+  const { env } = await postFixture("location.xml");
+  const content = lastUserContent(env.AI.calls[0].options.messages);
+  assert.match(content, /- 地点：北京市东城区天安门\n- 纬度：39\.908823\n- 经度：116\.397470\n- 地图缩放级别：15/);
+});
+
+test("链接消息：整理为标题、描述和地址", async () => {
+  const { env } = await postFixture("link.xml");
+  const content = lastUserContent(env.AI.calls[0].options.messages);
+  assert.match(content, /- 标题：Cloudflare Workers 入门\n- 描述：在边缘运行 JavaScript\n- 地址：https:\/\/example\.com\/workers/);
+});
+
+test("关注事件：回复欢迎语", async () => {
+  const { env, body } = await postFixture("event-subscribe.xml");
+  assert.equal(readReplyField(body, "Content"), "欢迎关注");
+  assert.equal(env.AI.calls.length, 0);
+});
+
+test("扫码关注：去掉 qrscene_ 前缀后按场景值回复", async () => {
+  const { body } = await postFixture("event-subscribe-qrscene.xml");
+  assert.equal(readReplyField(body, "Content"), "欢迎光临 42 号门店");
+});
+
+test("已关注用户扫码：EventKey 即场景值", async () => {
+  const { body } = await postFixture("event-scan.xml");
+  assert.equal(readReplyField(body, "Content"), "欢迎光临 42 号门店");
+});
+
+test("菜单点击：按 EventKey 回复", async () => {
+  const { body } = await postFixture("event-click.xml");
+  assert.equal(readReplyField(body, "Content"), "营业时间 9:00-21:00");
+});
+
+test("菜单跳转：无需回复，返回 success", async () => {
+  const { status, body } = await postFixture("event-view.xml");
+  assert.equal(status, 200);
+  assert.equal(body, "success");
+});
+
+test("取消关注：清理用户数据并返回 success", async () => {
+  const env = createFixtureEnv();
+  await env.AI_CHAT_HISTORY.put("push:o-fixture-unsubscribe", "{}");
+  const { body } = await postFixture("event-unsubscribe.xml", env);
+  assert.equal(body, "success");
+  assert.equal(env.AI_CHAT_HISTORY.store.has("push:o-fixture-unsubscribe"), false);
+});
+
+test("安全模式：解密 Encrypt 外层后按明文消息处理", async () => {
+  const wrapper = await readFixture("encrypted.xml");
+  const encrypt = wrapper.match(/<Encrypt><!\[CDATA\[(.+?)\]\]><\/Encrypt>/)[1];
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = randomBytes(5).toString("hex");
+  const url = signedURL("token", {
+    timestamp,
+    nonce,
+    extra: { encrypt_type: "aes", msg_signature: sha1Signature("token", timestamp, nonce, encrypt) }
+  });
+  const env = createFixtureEnv();
+  const response = await postXML(worker, env, createContext(), url, wrapper);
+
+  assert.equal(response.status, 200);
+  assert.ok(readReplyField(await response.text(), "Encrypt"));
+  assert.equal(lastUserContent(env.AI.calls[0].options.messages), "加密消息");
+});
+
+test("多行 CDATA：换行、缩进和标签样式的文本原样保留", async () => {
+  const { body } = await postFixture("multiline-cdata.xml");
+  assert.equal(readReplyField(body, "Content"), "收到：第一行\n  第二行 <b>不是标签</b>\n\n第四行 &amp; 不解码");
+});
+
+test("普通文本中的实体被解码，首尾空白被去掉", async () => {
+  const { body } = await postFixture("entities.xml");
+  assert.equal(readReplyField(body, "Content"), "收到：1 < 2 && 3 > 2，\"引号\" '单引号' 中文");
+});
+
+test("格式错误的消息体返回 400", async () => {
+  const names = (await readdir(new URL("malformed/", FIXTURES))).sort();
+  assert.ok(names.length > 0);
+  for (const name of [...names, null]) {
+    const env = createFixtureEnv();
+    const body = name ? await readFixture(`malformed/${name}`) : "";
+    const response = await postXML(worker, env, createContext(), signedURL("token"), body);
+    assert.equal(response.status, 400, name || "空消息体");
+    assert.equal(await response.text(), "Invalid XML", name || "空消息体");
+    assert.equal(env.AI.calls.length, 0);
+  }
+});
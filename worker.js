@@ -1,14 +1,146 @@
-// 混合缓存：key = userId, value = { history, expireAt, kvSnapshot }
-// kvSnapshot 记录上次与 KV 同步的序列化结果，用于判断是否需要写回 KV
+// 混合缓存：key = scopeCacheKey(userId)，value = { history, summary, expireAt, kvSnapshot, session }
+// kvSnapshot 记录上次与 KV 同步的序列化结果，用于判断是否需要写回 KV；
+// session 在缓存条目新建时生成、后续写入时沿用，清空对话后重新生成，后台摘要据此判断会话是否仍是同一段
 const chatCache = new Map();
-const CACHE_TTL = 10 * 60 * 1000; // 10分钟过期
-const MAX_HISTORY_MESSAGES = 4; // 保留最近 4 条消息（2轮对话）
+const DEFAULT_HISTORY_CACHE_TTL_MS = 10 * 60 * 1000; // 内存缓存默认 10 分钟过期
+const DEFAULT_HISTORY_MAX_MESSAGES = 20; // 历史消息条数上限
+const DEFAULT_HISTORY_MAX_TOKENS = 1500; // 历史消息估算 token 预算
+const DEFAULT_HISTORY_KV_TTL_SECONDS = 30 * 24 * 60 * 60; // KV 中 30 天未更新的会话自动过期
+const DEFAULT_SUMMARY_MAX_CHARS = 300;
 const DEFAULT_AI_TIMEOUT_MS = 4500;
 const DEFAULT_CF_MODEL = "@cf/meta/llama-3.3-70b-instruct-fp8-fast";
+const DEFAULT_CF_VISION_MODEL = "@cf/meta/llama-3.2-11b-vision-instruct";
+const DEFAULT_GEMINI_MODEL = "gemini-2.0-flash";
+const DEFAULT_ANTHROPIC_MODEL = "claude-3-5-haiku-latest";
+const DEFAULT_AI_BACKGROUND_TIMEOUT_MS = 25000;
+const MIN_PROVIDER_BUDGET_MS = 500; // 剩余时间不足时不再尝试下一个提供方
+const AI_PROVIDERS = ["openai", "workers-ai", "gemini", "anthropic"];
+// 各提供方的模型和温度对应的环境变量，用户设置按此覆盖
+const PROVIDER_ENV_KEYS = {
+  openai: { model: "OPENAI_MODEL", temperature: "OPENAI_TEMPERATURE" },
+  "workers-ai": { model: "CF_AI_MODEL", temperature: "CF_AI_TEMPERATURE" },
+  gemini: { model: "GEMINI_MODEL", temperature: "GEMINI_TEMPERATURE" },
+  anthropic: { model: "ANTHROPIC_MODEL", temperature: "ANTHROPIC_TEMPERATURE" }
+};
+const DEFAULT_MODERATION_MODEL = "omni-moderation-latest";
+const DEFAULT_CF_MODERATION_MODEL = "@cf/meta/llama-guard-3-8b";
+const DEFAULT_AUDIT_TTL_SECONDS = 30 * 24 * 60 * 60;
+const DEFAULT_CF_EMBEDDING_MODEL = "@cf/baai/bge-m3";
+const DEFAULT_OPENAI_EMBEDDING_MODEL = "text-embedding-3-small";
+const DEFAULT_KB_CHUNK_BYTES = 1200; // 每个分块约 400 个汉字
+const DEFAULT_KB_TOP_K = 3;
+const DEFAULT_KB_MIN_SCORE = 0.5;
+const CHAT_MESSAGE_TYPES = ["text", "voice", "image", "location", "link"];
 const DEFAULT_CLEAR_HISTORY_COMMANDS = ["清空上下文", "清空对话", "重置对话", "/reset"];
+const DEFAULT_EXPORT_COMMANDS = ["导出对话", "导出聊天记录"];
+const DEFAULT_TRANSCRIPT_TTL_SECONDS = 24 * 60 * 60; // 导出链接默认 24 小时有效
+const DEFAULT_TRANSCRIPT_MAX_MESSAGES = 200; // 导出归档保留的消息条数
+const SIGNATURE_MAX_AGE_SECONDS = 300;
+
+const ANSWER_TTL_SECONDS = 10 * 60; // 超时回复保留 10 分钟
+const DEFAULT_WECHAT_API_BASE_URL = "https://api.weixin.qq.com";
+const ACCESS_TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000; // 提前 5 分钟刷新 access_token
+const ACCESS_TOKEN_INVALID_ERRCODES = [40001, 40014, 42001];
+const DEFAULT_RESULT_COMMANDS = ["结果", "查看结果"];
+const DEFAULT_CONTINUE_COMMANDS = ["继续", "more"];
+const DEFAULT_IMAGE_COMMANDS = ["画图", "画"];
+const USER_COMMANDS = ["help", "persona", "model", "settings", "lang", "push"];
+const LANGUAGE_NAMES = {
+  zh: "简体中文", "zh-tw": "繁體中文", en: "English", ja: "日本語", ko: "한국어", fr: "Français", de: "Deutsch", es: "Español"
+};
+const DEFAULT_CF_IMAGE_MODEL = "@cf/black-forest-labs/flux-1-schnell";
+const DEFAULT_REPLY_MAX_BYTES = 2000; // 微信文本消息上限约 2048 字节
+const PAGE_HINT_RESERVED_BYTES = 120; // 为翻页提示预留的字节数
+const PAGE_TTL_SECONDS = 30 * 60; // 剩余分页保留 30 分钟
+const RATE_MINUTE_TTL_SECONDS = 120;
+const RATE_DAY_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+const CONFIG_CACHE_TTL = 60 * 1000; // KV 配置在内存中缓存 1 分钟
+const STATS_FLUSH_INTERVAL_MS = 10 * 1000;
+const STATS_TTL_SECONDS = 90 * 24 * 60 * 60; // 每日统计保留 90 天
+const STATS_MAX_DAYS = 90;
+const STATS_MONTH_TTL_SECONDS = 400 * 24 * 60 * 60; // 月度汇总保留 400 天
+const STATS_TOP_USERS = 100; // 每日 / 月度统计中只保留请求最多的前 100 个用户
+const ROLLUP_LOOKBACK_DAYS = 7; // 汇总时补齐最近 7 天中漏掉的日期
+const DEFAULT_SCHEDULED_JOBS = ["token", "cleanup", "rollup"];
+// 微信刷新 access_token 后旧 token 仅再保留 5 分钟，各实例内存中的旧 token 最多再用到过期前 5 分钟，
+// 因此只在过期前 10 分钟内预刷新，保证其他实例切换到新 token 前旧 token 仍然可用
+const ACCESS_TOKEN_PREWARM_MS = 10 * 60 * 1000;
+const CLEANUP_MAX_DELETES = 500; // 每次清理最多删除的 KV 键数，剩余的下次继续
+const CLEANUP_SEEDED_KEY = "cleanup:seeded"; // 已为旧数据补写过活跃记录的标记
+const CUSTOM_MESSAGE_WINDOW_MS = 48 * 60 * 60 * 1000; // 客服消息只能发给 48 小时内互动过的用户
+const DEFAULT_DAILY_PUSH_MAX_USERS = 200;
+
+// 可通过管理接口在线修改的配置项（不含密钥类变量）
+const RUNTIME_CONFIG_KEYS = [
+  "AI_PROVIDER", "AI_PROVIDERS", "AI_TIMEOUT_MS", "AI_BACKGROUND_TIMEOUT_MS",
+  "AI_TIMEOUT_REPLY", "AI_ERROR_REPLY", "AI_PENDING_REPLY", "AI_ASYNC_REPLY", "AI_ASYNC_ACK",
+  "AI_STREAM", "STREAM_PARTIAL_HINT", "STREAM_PENDING_REPLY", "AI_TOOLS",
+  "IMAGE_GENERATION", "IMAGE_COMMANDS", "IMAGE_MODEL", "IMAGE_STEPS", "IMAGE_PENDING_REPLY", "IMAGE_ERROR_REPLY",
+  "ENABLED_COMMANDS", "MODEL_ALLOWLIST", "OPENAI_TEMPERATURE",
+  "EXPORT_COMMANDS", "TRANSCRIPT_TTL_SECONDS", "TRANSCRIPT_MAX_MESSAGES",
+  "DAILY_PUSH_MESSAGE", "DAILY_PUSH_PROMPT", "DAILY_PUSH_MAX_USERS",
+  "OPENAI_SYSTEM_PROMPT", "WECHAT_FORMAT_PROMPT",
+  "OPENAI_MODEL", "OPENAI_VISION_MODEL", "CF_AI_MODEL", "CF_AI_VISION_MODEL", "CF_AI_MAX_TOKENS", "CF_AI_TEMPERATURE",
+  "GEMINI_MODEL", "GEMINI_MAX_TOKENS", "GEMINI_TEMPERATURE",
+  "ANTHROPIC_MODEL", "ANTHROPIC_MAX_TOKENS", "ANTHROPIC_TEMPERATURE",
+  "CLEAR_HISTORY_COMMANDS", "CLEAR_HISTORY_REPLY", "RESULT_COMMANDS", "CONTINUE_COMMANDS",
+  "WELCOME_MESSAGE", "UNSUPPORTED_MESSAGE", "IMAGE_PROMPT", "LOCATION_PROMPT", "LINK_PROMPT",
+  "RATE_LIMIT_PER_MINUTE", "RATE_LIMIT_PER_DAY", "TOKEN_LIMIT_PER_DAY", "GLOBAL_DAILY_LIMIT",
+  "MODERATION_PROVIDER", "MODERATION_INPUT_REPLY", "MODERATION_OUTPUT_REPLY"
+];
+// 可通过管理接口整体替换的 JSON 配置
+const ADMIN_JSON_CONFIGS = ["menu_actions", "scene_welcome", "moderation_blocklist", "auto_reply_rules", "http_tools", "personas"];
+const WEEKDAY_NAMES = ["星期一", "星期二", "星期三", "星期四", "星期五", "星期六", "星期日"];
+const ACTIVE_TOUCH_INTERVAL_MS = 10 * 60 * 1000;
+
+// 活跃记录写入节流：key = openid，value = 下次允许写入的时间
+const activeUserTouches = new Map();
+// 以下内存缓存在多公众号模式下 key 带 "<accountId>:" 前缀，见 scopeCacheKey
+// KV 配置缓存：key = 配置名，value = { value, expireAt }
+const configCache = new Map();
+// 短期缓存：key = 业务键（如 answer:MsgId），value = { value, expireAt }
+const shortTermCache = new Map();
+// 每日统计缓冲：key = stats:<日期>，value = { date, kvNamespace, pending, users, flushedAt }
+const statsBuffers = new Map();
+// 用户设置缓存：key = openid，value = { value, expireAt }
+const userSettingsCache = new Map();
+// 知识库分块缓存（KV 模式）：key = "chunks"，value = { value, expireAt }
+const knowledgeCache = new Map();
+// 频率计数：key = 计数键（如 day:openid:日期），value = { count, expireAt }
+const rateCounters = new Map();
+// 进行中的回复：key = scopeCacheKey(MsgId)，value = Promise<文本或图片等媒体回复>
+const inflightReplies = new Map();
+
+// 已处理过的 nonce：key = timestamp:nonce, value = { messageKey, expireAt }，用于拦截重放请求
+const seenNonces = new Map();
 
 export default {
   async fetch(request, env, ctx) {
+    // 多公众号：按 /wx/:accountId 或 ToUserName 切换到对应账号的配置
+    const account = await resolveAccount(request, env);
+    if (account === false) {
+      return new Response("Not Found", { status: 404 });
+    }
+    if (account) {
+      env = applyAccountConfig(env, account.id, account.config);
+    }
+
+    // KV 中的运行时配置覆盖同名环境变量
+    env = await applyRuntimeConfig(env);
+
+    // 管理接口使用 Bearer 密钥鉴权，不走 UA 拦截，便于 curl 等工具调用
+    const { pathname } = new URL(request.url);
+    if (pathname === "/admin" || pathname.startsWith("/admin/")) {
+      return handleAdminRequest(request, env, ctx);
+    }
+    if (pathname === "/stats") {
+      return handleStatsRequest(request, env);
+    }
+    if (pathname.startsWith("/transcript/") && request.method === "GET") {
+      return handleTranscriptRequest(request, env);
+    }
+
     if (isCrawler(request)) {
       return new Response("Forbidden", { status: 403 });
     }
@@ -22,177 +154,3656 @@ export default {
     }
 
     return new Response("Invalid Request", { status: 405 });
+  },
+
+  // Cron Triggers：按 SCHEDULED_JOBS 执行维护任务，返回各任务的结果便于本地调用测试
+  async scheduled(event, env, ctx) {
+    return handleScheduled(event, env, ctx);
   }
 };
 
 async function handleGetRequest(request, env) {
   const { searchParams } = new URL(request.url);
-  const signature = searchParams.get("signature");
-  const timestamp = searchParams.get("timestamp");
-  const nonce = searchParams.get("nonce");
   const echostr = searchParams.get("echostr");
 
-  if (!isTimestampValid(timestamp, 300)) {
-    console.warn(`Invalid timestamp: ${timestamp}`);
-    return new Response("Invalid timestamp", { status: 403 });
-  }
+  const rejection = await verifyRequestSignature(searchParams, env);
+  if (rejection) return rejection;
 
-  if (await checkSignature(signature, timestamp, nonce, env.WECHAT_TOKEN)) {
-    return new Response(echostr, { status: 200 });
-  }
-  return new Response("Invalid signature", { status: 403 });
+  return new Response(echostr, { status: 200 });
 }
 
+// 每个请求输出一条结构化日志；超时后在后台完成的 AI 调用会等其结束后再输出，并计入每日统计
 async function handlePostRequest(request, env, ctx) {
-  const text = await request.text();
-  const msg = parseXML(text);
+  const requestLog = { startedAt: Date.now(), account: env.ACCOUNT_ID || "" };
+  try {
+    const response = await processPostRequest(request, env, ctx, requestLog);
+    requestLog.status = response.status;
+    return response;
+  } catch (error) {
+    requestLog.status = 500;
+    requestLog.errorClass = classifyError(error);
+    throw error;
+  } finally {
+    requestLog.latencyMs = Date.now() - requestLog.startedAt;
+    const logPromise = Promise.resolve(requestLog.background)
+      .catch(() => {})
+      .then(() => emitRequestLog(requestLog, env));
+    if (ctx?.waitUntil) {
+      ctx.waitUntil(logPromise);
+    }
+  }
+}
+
+async function processPostRequest(request, env, ctx, requestLog) {
+  const { searchParams } = new URL(request.url);
+
+  // 每条推送消息都要验签并拦截重放，防止伪造 FromUserName 消耗 AI 额度
+  const rejection = await verifyRequestSignature(searchParams, env);
+  if (rejection) return rejection;
+
+  const body = await request.text();
+
+  const incoming = await resolveIncomingXML(body, searchParams, env);
+  if (incoming.response) return incoming.response;
+
+  const msg = parseXML(incoming.xml);
   if (!msg) return new Response("Invalid XML", { status: 400 });
 
+  // 微信超时重试会原样重发同一个签名地址，同一条消息放行给 MsgId 去重逻辑；同一 nonce 携带不同消息才视为重放
+  if (await isReplayedRequest(searchParams, getMessageKey(msg), env, ctx)) {
+    console.warn(`Replayed nonce: ${searchParams.get("nonce")}`);
+    return new Response("Replayed request", { status: 403 });
+  }
+  requestLog.msgType = msg.MsgType;
+  requestLog.event = msg.Event;
+  requestLog.userId = msg.FromUserName;
+
+  // 安全模式下回复同样需要加密
+  const replyContext = { secure: incoming.secure, nonce: searchParams.get("nonce") };
+  // 导出对话的链接默认使用当前请求的域名
+  env = { ...env, REQUEST_ORIGIN: new URL(request.url).origin };
   let reply;
 
-  if (msg.MsgType === "event" && msg.Event.toLowerCase() === "subscribe") {
-    reply = env.WELCOME_MESSAGE || "感谢关注！我是基于 AI 的智能助手，可以回答您的各种问题。";
-  } else if (msg.MsgType === "text") {
-    const userMsg = msg.Content;
-    const fromUserName = msg.FromUserName;
-
-    if (shouldClearHistory(userMsg, env)) {
-      await clearHistoryHybrid(fromUserName, env.AI_CHAT_HISTORY, ctx);
-      reply = env.CLEAR_HISTORY_REPLY || "上下文已清空。";
-      const responseXML = formatXMLReply(msg.FromUserName, msg.ToUserName, reply);
-      return new Response(responseXML, {
-        headers: { "Content-Type": "application/xml" }
-      });
+  if (msg.MsgType === "event") {
+    reply = await handleEvent(msg, env, ctx, requestLog);
+  } else if (CHAT_MESSAGE_TYPES.includes(msg.MsgType)) {
+    reply = await handleChatMessage(msg, env, ctx, requestLog);
+  } else {
+    reply = env.UNSUPPORTED_MESSAGE || "暂不支持该类型的消息哦！";
+  }
+
+  // 没有被动回复内容时按微信要求直接返回 success
+  if (reply === null) {
+    return new Response("success");
+  }
+
+  const responseXML = formatXMLReply(msg.FromUserName, msg.ToUserName, reply);
+  return createXMLResponse(responseXML, replyContext, env);
+}
+
+// 事件推送：返回 null 表示无需被动回复
+async function handleEvent(msg, env, ctx, requestLog = {}) {
+  const event = (msg.Event || "").toLowerCase();
+
+  switch (event) {
+    case "subscribe": {
+      // 扫描带参数二维码关注时 EventKey 为 qrscene_ 前缀加场景值
+      const scene = msg.EventKey.startsWith("qrscene_") ? msg.EventKey.slice("qrscene_".length) : "";
+      return getWelcomeMessage(scene, env);
     }
+    case "scan":
+      return getWelcomeMessage(msg.EventKey, env);
+    case "unsubscribe":
+      await clearUserData(msg.FromUserName, env, ctx);
+      return null;
+    case "click":
+      return handleMenuClick(msg, env, ctx, requestLog);
+    default:
+      return null;
+  }
+}
 
-    // 混合读取：内存优先，未命中从 KV 加载
-    const conversationHistory = await getHistoryHybrid(fromUserName, env.AI_CHAT_HISTORY);
-    const provider = resolveAIProvider(env);
+async function getWelcomeMessage(scene, env) {
+  if (scene) {
+    const sceneMessages = await getJSONConfig("scene_welcome", env.SCENE_WELCOME_MESSAGES, env);
+    if (sceneMessages?.[scene]) {
+      return sceneMessages[scene];
+    }
+  }
+  const welcome = env.WELCOME_MESSAGE || "感谢关注！我是基于 AI 的智能助手，可以回答您的各种问题。";
+  return welcome.replace(/\{scene\}/g, scene);
+}
 
-    let timedOut = false;
-    try {
-      const result = await withTimeout(
-        chatWithProvider(provider, userMsg, env, conversationHistory),
-        getAITimeoutMs(env),
-        null
-      );
-      if (result === null) {
-        timedOut = true;
-        reply = getTimeoutReply(env);
-      } else {
-        reply = result;
+// 菜单点击：EventKey 映射为固定回复（字符串或 { reply }），或预设提示词（{ prompt }）交给 AI
+async function handleMenuClick(msg, env, ctx, requestLog = {}) {
+  const menuActions = await getJSONConfig("menu_actions", env.MENU_ACTIONS, env);
+  const action = menuActions?.[msg.EventKey];
+  if (!action) {
+    console.warn(`未配置的菜单 EventKey: ${msg.EventKey}`);
+    return null;
+  }
+
+  if (typeof action === "string") {
+    return action;
+  }
+  if (action.prompt) {
+    // 事件没有 MsgId，按微信建议用 FromUserName + CreateTime 去重
+    return handleChatMessage({
+      ...msg,
+      MsgType: "text",
+      Content: action.prompt,
+      MsgId: getMessageKey(msg)
+    }, env, ctx, requestLog);
+  }
+  return action.reply || null;
+}
+
+// 文字、语音、图片、位置、链接消息统一转换为 AI 输入后处理；requestLog 收集本次请求的日志字段
+async function handleChatMessage(msg, env, ctx, requestLog = {}) {
+  const input = buildUserInput(msg, env);
+  if (!input.text) {
+    return env.VOICE_UNRECOGNIZED_MESSAGE || "抱歉，没能识别这条语音，请再说一遍或改用文字。";
+  }
+  const userMsg = input.text;
+  const fromUserName = msg.FromUserName;
+  touchActiveUser(fromUserName, env, ctx);
+
+  if (shouldClearHistory(userMsg, env)) {
+    await clearHistoryHybrid(fromUserName, env, ctx);
+    return env.CLEAR_HISTORY_REPLY || "上下文已清空。";
+  }
+
+  // /help、/persona、/model、/settings、/lang 等命令
+  if (msg.MsgType === "text") {
+    const commandReply = await handleUserCommand(userMsg, fromUserName, env);
+    if (commandReply !== null) {
+      return commandReply;
+    }
+  }
+
+  // 「导出对话」：返回带签名的对话记录链接
+  if (isExportCommand(userMsg, env)) {
+    return handleExportCommand(fromUserName, env);
+  }
+
+  // 「继续」：分页查看长回复的剩余内容
+  if (isContinueCommand(userMsg, env)) {
+    return takeNextPage(fromUserName, env, ctx);
+  }
+
+  // 「结果」：取回上一条超时后在后台完成的回复
+  if (isResultCommand(userMsg, env)) {
+    const pending = await getUserState(fromUserName, "pending", env);
+    if (pending?.reply) {
+      deleteUserState(fromUserName, "pending", env, ctx);
+      return paginateReply(fromUserName, pending.reply, env, ctx);
+    }
+    if (pending) {
+      return env.AI_PENDING_REPLY || "回复仍在生成中，请稍后再发送「结果」查看。";
+    }
+  }
+
+  // 自动回复规则：命中后直接回复，不调用 AI；图片、位置、链接的文本是内置提示词，不参与匹配
+  if (msg.MsgType === "text" || msg.MsgType === "voice") {
+    const ruleReply = await matchAutoReplyRule(userMsg, fromUserName, env);
+    if (ruleReply !== null) {
+      return ruleReply;
+    }
+  }
+
+  // 微信在 5 秒内未收到响应会携带相同 MsgId 重试，重试不再发起新的 AI 调用（包括「画 xxx」生成图片）
+  const msgId = msg.MsgId;
+  if (msgId) {
+    const inflight = inflightReplies.get(scopeCacheKey(msgId, env));
+    if (inflight) {
+      const result = await withTimeout(inflight, getAITimeoutMs(env), null).catch(() => null);
+      return result === null ? getTimeoutReply(env) : resumeReply(fromUserName, result, env, ctx);
+    }
+    const saved = await getCachedValue(`answer:${msgId}`, env);
+    if (saved) {
+      return saved.reply ? resumeReply(fromUserName, saved.reply, env, ctx) : getTimeoutReply(env);
+    }
+  }
+
+  // 输入审核与随后的 AI 调用共用同一个回复时限：审核接口超时按接口异常处理（放行），
+  // 等待 AI 回复的时间扣除审核已用去的部分，整体不超出微信的 5 秒窗口
+  const deadline = Date.now() + getAITimeoutMs(env);
+  // 输入审核：命中时直接拒答，不调用 AI、不计数、不写历史
+  const inputVerdict = await moderateContent(input.text, "input", env, AbortSignal.timeout(getAITimeoutMs(env)));
+  if (inputVerdict.blocked) {
+    auditModeration(fromUserName, "input", input.text, inputVerdict, env, ctx);
+    return env.MODERATION_INPUT_REPLY || "抱歉，这个问题我无法回答，换个话题吧。";
+  }
+
+  // 只有真正发起 AI 调用的消息计入频率和额度限制
+  const limitReply = await checkRateLimit(fromUserName, env, ctx);
+  if (limitReply) {
+    return limitReply;
+  }
+
+  // 「画 xxx」：文生图后以图片消息回复
+  const imagePrompt = msg.MsgType === "text" || msg.MsgType === "voice" ? matchImageCommand(userMsg, env) : null;
+  if (imagePrompt) {
+    return handleImageCommand(imagePrompt, fromUserName, msgId, env, ctx, deadline);
+  }
+
+  const task = startAITask(input, fromUserName, msgId, env, ctx, requestLog);
+  try {
+    const result = await withTimeout(task, Math.max(deadline - Date.now(), 0), null);
+    if (result !== null) {
+      return paginateReply(fromUserName, result, env, ctx);
+    }
+  } catch (error) {
+    console.error("AI Error:", error);
+    requestLog.errorClass = classifyError(error);
+    return getAIErrorReply(env);
+  }
+
+  requestLog.timedOut = true;
+  requestLog.background = task;
+
+  // 超时：AI 调用继续在后台执行，完成后按 MsgId 和用户保存回复，供重试或「结果」取回
+  const asyncReply = isAsyncReplyEnabled(env);
+  // 流式输出：先回复已生成的部分，剩余内容生成完成后存为分页，发送「继续」查看
+  const partial = asyncReply ? "" : await getStreamingPartial(task.progress.text, env);
+  const pendingEntry = partial ? { msgId, partial: true } : { msgId };
+  setUserState(fromUserName, "pending", pendingEntry, ANSWER_TTL_SECONDS, env, ctx);
+  if (msgId) {
+    setCachedValue(`answer:${msgId}`, pendingEntry, ANSWER_TTL_SECONDS, env, ctx);
+  }
+  const backgroundPromise = task
+    .then(async result => {
+      const answer = { msgId, reply: result };
+      if (msgId) {
+        setCachedValue(`answer:${msgId}`, answer, ANSWER_TTL_SECONDS, env, ctx);
       }
-    } catch (error) {
-      console.error("AI Error:", error);
-      reply = `AI 处理失败: ${error.message || "未知错误"}`;
+      // 已先回复了部分内容：「继续」和「结果」都只返回剩余部分，不重复发送用户已看到的内容
+      if (partial) {
+        const remainder = savePartialRemainder(fromUserName, result, partial, env, ctx);
+        if (remainder) {
+          setUserState(fromUserName, "pending", { msgId, reply: remainder, partial: true }, ANSWER_TTL_SECONDS, env, ctx);
+        } else {
+          deleteUserState(fromUserName, "pending", env, ctx);
+        }
+        return;
+      }
+      // 通过客服消息主动推送；推送失败时仍保留回复，用户可发送「结果」取回
+      if (asyncReply) {
+        try {
+          await sendCustomMessage(fromUserName, paginateReply(fromUserName, result, env, ctx), env);
+          deleteUserState(fromUserName, "pending", env, ctx);
+          return;
+        } catch (error) {
+          console.error("客服消息推送失败:", error);
+        }
+      }
+      setUserState(fromUserName, "pending", answer, ANSWER_TTL_SECONDS, env, ctx);
+    })
+    .catch(error => {
+      console.error("Background AI Error:", error);
+      deleteUserState(fromUserName, "pending", env, ctx);
+      if (msgId) {
+        deleteCachedValue(`answer:${msgId}`, env, ctx);
+      }
+    });
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(backgroundPromise);
+  }
+
+  // 异步模式下立即应答，未配置确认文案时回复 success（微信不会展示任何内容）
+  if (asyncReply) {
+    return env.AI_ASYNC_ACK || null;
+  }
+  return partial ? appendStreamingHint(partial, env) : getTimeoutReply(env);
+}
+
+// 重试取回的回复：文本按分页处理，图片等媒体回复原样返回
+function resumeReply(userId, reply, env, ctx) {
+  return typeof reply === "string" ? paginateReply(userId, reply, env, ctx) : reply;
+}
+
+// 把不同类型的消息转换为 { text, historyText, imageUrl }：
+// text 发给模型，historyText 写入会话历史，imageUrl 交给支持视觉的模型
+function buildUserInput(msg, env) {
+  switch (msg.MsgType) {
+    case "voice": {
+      // 语音识别结果末尾常带句号，去掉后「继续」「结果」等命令也能用语音触发
+      const text = (msg.Recognition || "").trim().replace(/[。！？.!?]+$/, "");
+      return { text, historyText: text };
+    }
+    case "image": {
+      const text = env.IMAGE_PROMPT || "请描述这张图片的内容，如果图片中有文字或问题，请一并解答。";
+      return { text, historyText: `[图片] ${text}`, imageUrl: msg.PicUrl };
     }
+    case "location": {
+      const text = [
+        "用户发送了一个位置：",
+        `- 地点：${msg.Label || "未知"}`,
+        `- 纬度：${msg.Location_X}`,
+        `- 经度：${msg.Location_Y}`,
+        msg.Scale ? `- 地图缩放级别：${msg.Scale}` : null,
+        "",
+        env.LOCATION_PROMPT || "请结合这个位置，简要介绍周边情况或提供有用的建议。"
+      ].filter(line => line !== null).join("\n");
+      return { text, historyText: text };
+    }
+    case "link": {
+      const text = [
+        "用户分享了一个链接：",
+        `- 标题：${msg.Title || "无"}`,
+        `- 描述：${msg.Description || "无"}`,
+        `- 地址：${msg.Url}`,
+        "",
+        env.LINK_PROMPT || "请根据标题和描述概括这个链接的内容，并给出你的看法。"
+      ].join("\n");
+      return { text, historyText: text };
+    }
+    default:
+      return { text: msg.Content, historyText: msg.Content };
+  }
+}
 
-    // 超时不写历史，避免兜底回复污染上下文
-    if (!timedOut) {
-      updateHistoryHybrid(fromUserName, userMsg, reply, env, ctx);
+// 发起 AI 调用并登记为进行中；完成后只写一次历史，重试请求复用同一个 Promise
+function startAITask(input, fromUserName, msgId, env, ctx, metrics = {}) {
+  // 流式输出时记录已生成的原始文本，超时后可先回复这部分
+  const progress = { text: "" };
+  const task = (async () => {
+    // 混合读取：内存优先，未命中从 KV 加载
+    const { history: conversationHistory, summary, source } = await getConversationHybrid(fromUserName, env);
+    metrics.historySource = source;
+    const knowledge = await retrieveKnowledge(input, env);
+    const tools = await getEnabledTools(input, env);
+    const preferences = await resolveUserPreferences(await getUserSettings(fromUserName, env), env);
+    const reply = await chatWithProviders(input, env, conversationHistory, {
+      ...preferences,
+      summary,
+      knowledge,
+      tools,
+      metrics,
+      userId: fromUserName,
+      onProgress: text => { progress.text = text; }
+    });
+    recordTokenUsage(fromUserName, [input.text, reply, ...conversationHistory.map(item => item.content)], env, ctx);
+
+    // 输出审核：命中时替换为拒答文案，且整轮对话不写入历史
+    const outputVerdict = await moderateContent(reply, "output", env);
+    if (outputVerdict.blocked) {
+      auditModeration(fromUserName, "output", reply, outputVerdict, env, ctx);
+      return env.MODERATION_OUTPUT_REPLY || "抱歉，这个问题的回答不便展示，换个话题吧。";
     }
-  } else {
-    reply = env.UNSUPPORTED_MESSAGE || "目前仅支持文字消息哦！";
+
+    // 模型常忽略格式提示词，统一把 Markdown 转为微信可读的纯文本
+    const renderedReply = renderWechatText(reply, env);
+    updateHistoryHybrid(fromUserName, input.historyText, renderedReply, env, ctx);
+    return appendKnowledgeSources(renderedReply, knowledge, env);
+  })();
+
+  if (msgId) {
+    const inflightKey = scopeCacheKey(msgId, env);
+    inflightReplies.set(inflightKey, task);
+    task.finally(() => inflightReplies.delete(inflightKey)).catch(() => {});
   }
+  task.progress = progress;
+  return task;
+}
 
-  const responseXML = formatXMLReply(msg.FromUserName, msg.ToUserName, reply);
-  return new Response(responseXML, {
+async function createXMLResponse(xml, replyContext, env) {
+  const body = replyContext?.secure
+    ? await encryptXMLReply(xml, env, replyContext.nonce)
+    : xml;
+  return new Response(body, {
     headers: { "Content-Type": "application/xml" }
   });
 }
 
+// -------- 管理接口 --------
+
+// 路由：
+//   GET    /admin/users                  最近活跃用户
+//   GET    /admin/users/:openid/history  查看会话历史
+//   PUT    /admin/users/:openid/history  覆盖会话历史，body: { history: [...], summary? }
+//   DELETE /admin/users/:openid/history  清空该用户数据
+//   GET    /admin/config                 查看运行时配置
+//   PUT    /admin/config                 合并更新运行时配置，值为 null 时删除
+//   GET    /admin/config/:name           查看 JSON 配置（如 menu_actions）
+//   PUT    /admin/config/:name           覆盖 JSON 配置
+//   DELETE /admin/config/:name           删除 JSON 配置，回退到环境变量
+//   GET    /admin/kb/documents           知识库文档列表
+//   POST   /admin/kb/documents           导入文档，body: { id?, title, text, url? }
+//   DELETE /admin/kb/documents/:id       删除文档
+//   GET    /admin/kb/search?q=           检索测试
+async function handleAdminRequest(request, env, ctx) {
+  if (!env.ADMIN_SECRET) {
+    return new Response("Not Found", { status: 404 });
+  }
+  if (!isAdminAuthorized(request, env)) {
+    return jsonResponse({ error: "Unauthorized" }, 401);
+  }
+  if (!env.AI_CHAT_HISTORY) {
+    return jsonResponse({ error: "未绑定 AI_CHAT_HISTORY KV" }, 501);
+  }
+
+  const { pathname, searchParams } = new URL(request.url);
+  const method = request.method;
+
+  try {
+    const segments = pathname.split("/").filter(Boolean).slice(1).map(decodeURIComponent);
+    if (segments[0] === "users" && segments.length === 1 && method === "GET") {
+      return jsonResponse(await listActiveUsers(env, searchParams));
+    }
+
+    if (segments[0] === "users" && segments.length === 3 && segments[2] === "history") {
+      const userId = segments[1];
+      if (method === "GET") {
+        const { history, summary } = await getConversationHybrid(userId, env);
+        return jsonResponse({ userId, history, summary });
+      }
+      if (method === "PUT") {
+        const body = await readJSONBody(request);
+        if (!isValidHistory(body?.history)) {
+          return jsonResponse({ error: "history 必须是 { role: user|assistant, content: string } 数组" }, 400);
+        }
+        const summary = typeof body.summary === "string"
+          ? body.summary
+          : (await getConversationHybrid(userId, env)).summary;
+        await saveConversationHybrid(userId, { history: body.history, summary }, env);
+        // 管理员写入的历史同样计入活跃，否则当晚的定时清理会把它删掉
+        await putActiveRecord(env.AI_CHAT_HISTORY, userId, env);
+        return jsonResponse({ userId, history: body.history, summary });
+      }
+      if (method === "DELETE") {
+        await clearUserData(userId, env);
+        return jsonResponse({ userId, cleared: true });
+      }
+    }
+
+    if (segments[0] === "config" && segments.length === 1) {
+      if (method === "GET") {
+        return jsonResponse({ overrides: await getRuntimeOverrides(env), editableKeys: RUNTIME_CONFIG_KEYS });
+      }
+      if (method === "PUT") {
+        const body = await readJSONBody(request);
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+          return jsonResponse({ error: "body 必须是 JSON 对象" }, 400);
+        }
+        const invalidKeys = Object.keys(body).filter(key => !RUNTIME_CONFIG_KEYS.includes(key));
+        if (invalidKeys.length > 0) {
+          return jsonResponse({ error: `不支持的配置项: ${invalidKeys.join(", ")}` }, 400);
+        }
+
+        const overrides = { ...(await getRuntimeOverrides(env)) };
+        for (const [key, value] of Object.entries(body)) {
+          if (value === null) {
+            delete overrides[key];
+          } else {
+            overrides[key] = String(value);
+          }
+        }
+        await putJSONConfig("runtime", overrides, env);
+        return jsonResponse({ overrides });
+      }
+    }
+
+    if (segments[0] === "kb") {
+      const kbResponse = await handleKnowledgeAdmin(request, segments.slice(1), searchParams, env);
+      if (kbResponse) return kbResponse;
+    }
+
+    if (segments[0] === "config" && segments.length === 2 && ADMIN_JSON_CONFIGS.includes(segments[1])) {
+      const name = segments[1];
+      if (method === "GET") {
+        return jsonResponse({ name, value: await getJSONConfig(name, null, env) });
+      }
+      if (method === "PUT") {
+        const value = await readJSONBody(request);
+        if (value === undefined) {
+          return jsonResponse({ error: "body 必须是合法的 JSON" }, 400);
+        }
+        await putJSONConfig(name, value, env);
+        return jsonResponse({ name, value });
+      }
+      if (method === "DELETE") {
+        await putJSONConfig(name, null, env);
+        return jsonResponse({ name, deleted: true });
+      }
+    }
+  } catch (error) {
+    // 路径中的 %xx 编码不合法
+    if (error instanceof URIError) {
+      return jsonResponse({ error: "路径编码无效" }, 400);
+    }
+    console.error("Admin Error:", error);
+    return jsonResponse({ error: error.message || "未知错误" }, 500);
+  }
+
+  return jsonResponse({ error: "Not Found" }, 404);
+}
+
+function isAdminAuthorized(request, env) {
+  const authorization = request.headers.get("Authorization") || "";
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return Boolean(match) && timingSafeEqual(match[1].trim(), env.ADMIN_SECRET);
+}
+
+// 逐字节比较全部内容，避免通过响应耗时猜测密钥
+function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const left = encoder.encode(a);
+  const right = encoder.encode(b);
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left[i] ^ (right[i % right.length] || 0);
+  }
+  return diff === 0;
+}
+
+// 活跃用户记录在 KV 的 active:<openid> 键的 metadata 中，按最近活跃时间倒序返回
+async function listActiveUsers(env, searchParams) {
+  const limit = Math.min(getPositiveInt(searchParams.get("limit")) || 100, 1000);
+  const result = await env.AI_CHAT_HISTORY.list({
+    prefix: "active:",
+    limit,
+    cursor: searchParams.get("cursor") || undefined
+  });
+
+  const users = result.keys
+    .map(key => ({
+      userId: key.name.slice("active:".length),
+      lastActiveAt: key.metadata?.lastActiveAt || null
+    }))
+    .sort((a, b) => (b.lastActiveAt || "").localeCompare(a.lastActiveAt || ""));
+  return { users, cursor: result.list_complete ? null : result.cursor };
+}
+
+// 同一用户在一个实例内每 10 分钟最多写一次活跃记录，减少 KV 写入。
+// 活跃记录与会话数据使用相同的过期时间，定时清理不会删除仍在 HISTORY_KV_TTL_SECONDS 内的用户数据
+function touchActiveUser(userId, env, ctx) {
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (!kvNamespace) return;
+
+  const now = Date.now();
+  const touchKey = scopeCacheKey(userId, env);
+  if ((activeUserTouches.get(touchKey) || 0) > now) return;
+  activeUserTouches.set(touchKey, now + ACTIVE_TOUCH_INTERVAL_MS);
+
+  const writePromise = putActiveRecord(kvNamespace, userId, env)
+    .catch(err => console.error("KV 写入活跃记录失败:", err));
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(writePromise);
+  }
+}
+
+function putActiveRecord(kvNamespace, userId, env) {
+  const lastActiveAt = new Date().toISOString();
+  return kvNamespace.put(`active:${userId}`, lastActiveAt, {
+    expirationTtl: getHistoryKvTtlSeconds(env),
+    metadata: { lastActiveAt }
+  });
+}
+
+function isValidHistory(history) {
+  return Array.isArray(history) && history.every(item =>
+    item && (item.role === "user" || item.role === "assistant") && typeof item.content === "string"
+  );
+}
+
+// 非法 JSON 返回 undefined
+async function readJSONBody(request) {
+  try {
+    return await request.json();
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" }
+  });
+}
+
 // -------- 混合缓存操作 --------
 
-// 混合读取：内存优先，未命中从 KV 加载
-async function getHistoryHybrid(userId, kvNamespace) {
-  const cached = chatCache.get(userId);
+// 混合读取：内存优先，未命中从 KV 加载；返回 { history, summary, source }，source 为 memory / kv / none / durable-object
+// KV 中的值为 { history, summary }，兼容旧版直接存储的消息数组。启用 Durable Object 存储时直接读取该用户的对象
+async function getConversationHybrid(userId, env) {
+  const stub = getConversationStub(userId, env);
+  if (stub) {
+    try {
+      const { history, summary } = await callConversationStore(stub, "GET", "/conversation");
+      return { history, summary, source: "durable-object" };
+    } catch (error) {
+      console.warn("Durable Object 读取会话失败:", error);
+      return { history: [], summary: "", source: "none" };
+    }
+  }
+
+  const cacheKey = scopeCacheKey(userId, env);
+  const cached = chatCache.get(cacheKey);
 
   // 内存命中且未过期
   if (cached && cached.expireAt > Date.now()) {
-    return cached.history;
+    return { history: cached.history, summary: cached.summary, source: "memory" };
   }
 
   // 内存未命中或已过期，尝试从 KV 读取
-  chatCache.delete(userId);
+  chatCache.delete(cacheKey);
 
+  const kvNamespace = env.AI_CHAT_HISTORY;
   if (kvNamespace) {
     try {
       const kvData = await kvNamespace.get(userId);
       if (kvData) {
-        const history = JSON.parse(kvData);
-        if (Array.isArray(history)) {
-          // 加载到内存缓存，记录当前 KV 快照，避免重复写入相同内容
-          chatCache.set(userId, {
-            history,
-            expireAt: Date.now() + CACHE_TTL,
-            kvSnapshot: kvData
-          });
-          return history;
-        }
+        const parsed = JSON.parse(kvData);
+        const conversation = Array.isArray(parsed)
+          ? { history: parsed, summary: "" }
+          : { history: Array.isArray(parsed?.history) ? parsed.history : [], summary: parsed?.summary || "" };
+        // 加载到内存缓存，记录当前 KV 快照，避免重复写入相同内容
+        chatCache.set(cacheKey, {
+          ...conversation,
+          expireAt: Date.now() + getHistoryCacheTtlMs(env),
+          kvSnapshot: kvData,
+          session: crypto.randomUUID()
+        });
+        return { ...conversation, source: "kv" };
       }
     } catch (error) {
       console.warn("KV 读取失败:", error);
     }
   }
 
-  return [];
+  return { history: [], summary: "", source: "none" };
+}
+
+// 混合写入：立即更新内存，条件写入 KV
+// 超出条数或 token 预算的旧消息会被移出窗口，开启摘要时在后台合并进该用户的滚动摘要
+function updateHistoryHybrid(userId, userMsg, assistantReply, env, ctx) {
+  const stub = getConversationStub(userId, env);
+  if (stub) {
+    appendConversationTurn(stub, userMsg, assistantReply, env, ctx);
+    return;
+  }
+  if (isTranscriptEnabled(env)) {
+    appendTranscriptArchive(userId, userMsg, assistantReply, env, ctx);
+  }
+
+  const cached = chatCache.get(scopeCacheKey(userId, env));
+  const history = cached ? [...cached.history] : [];
+  const summary = cached?.summary || "";
+
+  // 添加新对话
+  history.push({ role: "user", content: userMsg });
+  history.push({ role: "assistant", content: assistantReply });
+
+  const { kept, dropped } = trimHistory(history, env);
+  saveConversationHybrid(userId, { history: kept, summary }, env, ctx);
+
+  if (dropped.length > 0 && isHistorySummaryEnabled(env)) {
+    const session = chatCache.get(scopeCacheKey(userId, env))?.session;
+    const summaryPromise = summarizeConversation(summary, dropped, env)
+      .then(newSummary => {
+        // 摘要生成期间可能已有新对话写入，以最新的历史为准，只替换摘要；
+        // 期间会话被清空（或缓存已失效）时放弃写入，避免把旧历史和摘要写回
+        const current = chatCache.get(scopeCacheKey(userId, env));
+        if (!current || current.session !== session) return undefined;
+        return saveConversationHybrid(userId, { history: current.history, summary: newSummary }, env, ctx);
+      })
+      .catch(err => console.error("会话摘要生成失败:", err));
+    if (ctx?.waitUntil) {
+      ctx.waitUntil(summaryPromise);
+    }
+  }
+
+  // 清理过期缓存
+  cleanExpiredCache();
+}
+
+// 先按条数截断，再从最旧的消息开始移除直到满足 token 预算；至少保留最新一轮，且窗口以 user 消息开头
+function trimHistory(history, env) {
+  const maxMessages = getPositiveInt(env.HISTORY_MAX_MESSAGES) || DEFAULT_HISTORY_MAX_MESSAGES;
+  const maxTokens = getPositiveInt(env.HISTORY_MAX_TOKENS) || DEFAULT_HISTORY_MAX_TOKENS;
+
+  let start = Math.max(0, history.length - maxMessages);
+  let tokens = history.slice(start).reduce((sum, item) => sum + estimateTokens(item.content), 0);
+  while (start < history.length - 2 && tokens > maxTokens) {
+    tokens -= estimateTokens(history[start].content);
+    start++;
+  }
+  while (start < history.length - 2 && history[start].role !== "user") {
+    start++;
+  }
+
+  return { kept: history.slice(start), dropped: history.slice(0, start) };
+}
+
+// 把移出窗口的对话合并进已有摘要；直接调用提供方，不经过审核与额度统计
+async function summarizeConversation(previousSummary, droppedMessages, env) {
+  const transcript = droppedMessages
+    .map(item => `${item.role === "user" ? "用户" : "助手"}：${item.content}`)
+    .join("\n");
+  const text = [
+    previousSummary ? `已有摘要：\n${previousSummary}` : "已有摘要：无",
+    `新增对话：\n${transcript}`,
+    `请把新增对话的要点合并进已有摘要，保留用户的身份信息、偏好和未解决的问题，输出不超过 ${getSummaryMaxChars(env)} 字的纯文本摘要，不要输出其他内容。`
+  ].join("\n\n");
+
+  const summary = await chatWithProviders({ text, historyText: text }, env, [], {
+    systemPrompt: "你负责为对话生成简洁、客观的滚动摘要。"
+  });
+  return summary.trim().slice(0, getSummaryMaxChars(env) * 2);
+}
+
+// 更新内存缓存，内容变化时写回 KV；返回 KV 写入的 Promise（无需写入时为 undefined）
+function saveConversationHybrid(userId, conversation, env, ctx) {
+  const stub = getConversationStub(userId, env);
+  if (stub) {
+    return callConversationStore(stub, "PUT", "/conversation", {
+      history: conversation.history,
+      summary: conversation.summary || "",
+      ttlSeconds: getHistoryKvTtlSeconds(env)
+    });
+  }
+
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  const cacheKey = scopeCacheKey(userId, env);
+  const previous = chatCache.get(cacheKey);
+  const kvSnapshot = previous?.kvSnapshot || null;
+  const { history, summary = "" } = conversation;
+
+  // 更新内存缓存
+  chatCache.set(cacheKey, {
+    history,
+    summary,
+    expireAt: Date.now() + getHistoryCacheTtlMs(env),
+    kvSnapshot,
+    session: previous?.session || crypto.randomUUID()
+  });
+
+  // 只在内容实际变化时写回 KV，避免因为固定长度裁剪导致后续不再落盘
+  const serializedConversation = JSON.stringify({ history, summary });
+  if (!kvNamespace || serializedConversation === kvSnapshot) {
+    return undefined;
+  }
+
+  // 设置过期时间，长期不活跃用户的数据自动清理
+  const writePromise = kvNamespace.put(userId, serializedConversation, {
+    expirationTtl: getHistoryKvTtlSeconds(env)
+  })
+    .then(() => {
+      // 写入成功后更新最新快照
+      const current = chatCache.get(cacheKey);
+      if (current) {
+        current.kvSnapshot = serializedConversation;
+      }
+    })
+    .catch(err => console.error("KV 写入失败:", err));
+
+  // 异步执行，不阻塞响应
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(writePromise);
+  }
+  return writePromise;
+}
+
+function getHistoryKvTtlSeconds(env) {
+  return getPositiveInt(env.HISTORY_KV_TTL_SECONDS) || DEFAULT_HISTORY_KV_TTL_SECONDS;
+}
+
+function getHistoryCacheTtlMs(env) {
+  return getPositiveInt(env.HISTORY_CACHE_TTL_MS) || DEFAULT_HISTORY_CACHE_TTL_MS;
+}
+
+function isHistorySummaryEnabled(env) {
+  return (env.HISTORY_SUMMARY || "").trim().toLowerCase() === "true";
+}
+
+function getSummaryMaxChars(env) {
+  return getPositiveInt(env.HISTORY_SUMMARY_MAX_CHARS) || DEFAULT_SUMMARY_MAX_CHARS;
+}
+
+// 清空内存与 KV（或 Durable Object）中的会话历史
+async function clearHistoryHybrid(userId, env, ctx) {
+  const stub = getConversationStub(userId, env);
+  if (stub) {
+    await callConversationStore(stub, "DELETE", "/conversation")
+      .catch(err => console.error("Durable Object 删除会话失败:", err));
+    return;
+  }
+
+  chatCache.delete(scopeCacheKey(userId, env));
+  const kvNamespace = env.AI_CHAT_HISTORY;
+
+  if (kvNamespace) {
+    const deletePromise = kvNamespace.delete(userId)
+      .catch(err => console.error("KV 删除失败:", err));
+    if (ctx?.waitUntil) {
+      ctx.waitUntil(deletePromise);
+    } else {
+      await deletePromise;
+    }
+  }
+}
+
+// 取关时清理该用户的全部数据：会话历史、设置、每日推送订阅、导出归档、待取回复、剩余分页
+async function clearUserData(userId, env, ctx) {
+  await clearHistoryHybrid(userId, env, ctx);
+  await saveUserSettings(userId, {}, env);
+  await env.AI_CHAT_HISTORY?.delete(`push:${userId}`);
+  await clearTranscriptArchive(userId, env);
+  deleteUserState(userId, "pending", env, ctx);
+  deleteUserState(userId, "pages", env, ctx);
+}
+
+function cleanExpiredCache() {
+  const now = Date.now();
+  for (const [cacheKey, cached] of chatCache.entries()) {
+    if (cached.expireAt <= now) {
+      chatCache.delete(cacheKey);
+    }
+  }
+}
+
+// -------- 会话存储（Durable Object） --------
+
+// HISTORY_STORE=durable-object 且绑定了 CONVERSATION_STORE 时，每个用户的会话历史、待取回复和剩余分页
+// 由以该用户 OpenID 命名的 ConversationStore 对象保存。同一对象的请求串行处理、强一致，
+// 避免多实例或跨机房时 KV 最终一致导致的对话丢失和乱序；未启用时使用内存 + KV 混合缓存
+function isDurableStoreEnabled(env) {
+  return (env.HISTORY_STORE || "").trim().toLowerCase() === "durable-object";
+}
+
+// 未绑定 CONVERSATION_STORE 时返回 null，回退到混合缓存
+function getConversationStub(userId, env) {
+  if (!isDurableStoreEnabled(env)) {
+    return null;
+  }
+  if (!env.CONVERSATION_STORE) {
+    return null;
+  }
+  const namespace = env.CONVERSATION_STORE;
+  return namespace.get(namespace.idFromName(scopeCacheKey(userId, env)));
+}
+
+async function callConversationStore(stub, method, path, body) {
+  const response = await stub.fetch(`https://conversation-store${path}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (!response.ok) {
+    throw new Error(`ConversationStore Error ${response.status}: ${await response.text()}`);
+  }
+  return response.json();
+}
+
+// 在对象内追加一轮对话并裁剪窗口，移出窗口的消息在后台合并进摘要
+function appendConversationTurn(stub, userMsg, assistantReply, env, ctx) {
+  const turnPromise = callConversationStore(stub, "POST", "/turn", {
+    messages: [{ role: "user", content: userMsg }, { role: "assistant", content: assistantReply }],
+    limits: { HISTORY_MAX_MESSAGES: env.HISTORY_MAX_MESSAGES, HISTORY_MAX_TOKENS: env.HISTORY_MAX_TOKENS },
+    // 启用对话导出时同时追加到对象内的归档
+    archiveMaxMessages: isTranscriptEnabled(env) ? getTranscriptMaxMessages(env) : 0,
+    time: new Date().toISOString(),
+    ttlSeconds: getHistoryKvTtlSeconds(env)
+  })
+    .then(({ summary, dropped }) => {
+      if (dropped.length > 0 && isHistorySummaryEnabled(env)) {
+        return updateDurableSummary(stub, summary, dropped, env);
+      }
+    })
+    .catch(err => console.error("Durable Object 写入会话失败:", err));
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(turnPromise);
+  }
+  return turnPromise;
+}
+
+// 摘要只在对象中的摘要仍是生成时所基于的版本时才写入；期间被其他轮次更新时基于新摘要重新合并一次
+async function updateDurableSummary(stub, summary, dropped, env) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const newSummary = await summarizeConversation(summary, dropped, env);
+    const result = await callConversationStore(stub, "PUT", "/summary", { summary: newSummary, previous: summary });
+    if (result.applied) {
+      return;
+    }
+    summary = result.summary;
+  }
+  console.warn("会话摘要被并发更新，已放弃本次合并");
+}
+
+// 用户级的临时状态：pending（超时后待取的回复）、pages（剩余分页）；
+// 未启用 Durable Object 时存入短期缓存的 <name>:<openid>
+async function getUserState(userId, name, env) {
+  const stub = getConversationStub(userId, env);
+  if (!stub) {
+    return getCachedValue(`${name}:${userId}`, env);
+  }
+  try {
+    return (await callConversationStore(stub, "GET", `/state/${name}`)).value;
+  } catch (error) {
+    console.warn(`Durable Object 读取 ${name} 失败:`, error);
+    return null;
+  }
+}
+
+function setUserState(userId, name, value, ttlSeconds, env, ctx) {
+  const stub = getConversationStub(userId, env);
+  if (!stub) {
+    return setCachedValue(`${name}:${userId}`, value, ttlSeconds, env, ctx);
+  }
+  const writePromise = callConversationStore(stub, "PUT", `/state/${name}`, { value, ttlSeconds })
+    .catch(err => console.error(`Durable Object 写入 ${name} 失败:`, err));
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(writePromise);
+  }
+  return writePromise;
+}
+
+function deleteUserState(userId, name, env, ctx) {
+  const stub = getConversationStub(userId, env);
+  if (!stub) {
+    return deleteCachedValue(`${name}:${userId}`, env, ctx);
+  }
+  const deletePromise = callConversationStore(stub, "DELETE", `/state/${name}`)
+    .catch(err => console.error(`Durable Object 删除 ${name} 失败:`, err));
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(deletePromise);
+  }
+  return deletePromise;
+}
+
+// 存储内容：conversation = { history, summary }，archive = 导出用的对话归档，state:<name> = { value, expireAt }。
+// 处理请求时只等待存储操作，存储操作期间不会处理其他请求，每个接口的读改写都是原子的。
+// 最后一次写入会话后 ttlSeconds（默认 30 天）内没有新对话时，由 alarm 清空整个对象
+export class ConversationStore {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const { pathname } = new URL(request.url);
+    const method = request.method;
+    const body = method === "POST" || method === "PUT" ? await readJSONBody(request) || {} : {};
+    const [, resource, name, action] = pathname.split("/");
+
+    if (resource === "conversation") {
+      if (method === "GET") {
+        return jsonResponse(await this.getConversation());
+      }
+      if (method === "PUT") {
+        const conversation = { history: body.history || [], summary: body.summary || "" };
+        await this.storage.put("conversation", conversation);
+        await this.extendExpiry(body.ttlSeconds);
+        return jsonResponse(conversation);
+      }
+      if (method === "DELETE") {
+        await this.storage.delete("conversation");
+        return jsonResponse({ cleared: true });
+      }
+    }
+
+    // 追加一轮对话；裁剪规则与 KV 存储相同（trimHistory），limits 为调用方的 HISTORY_MAX_* 配置
+    if (resource === "turn" && method === "POST") {
+      const messages = body.messages || [];
+      const conversation = await this.getConversation();
+      const { kept, dropped } = trimHistory([...conversation.history, ...messages], body.limits || {});
+      await this.storage.put("conversation", { history: kept, summary: conversation.summary });
+      if (body.archiveMaxMessages > 0) {
+        const archive = await this.storage.get("archive") || [];
+        archive.push(...messages.map(item => ({ ...item, time: body.time })));
+        await this.storage.put("archive", archive.slice(-body.archiveMaxMessages));
+      }
+      await this.extendExpiry(body.ttlSeconds);
+      return jsonResponse({ history: kept, summary: conversation.summary, dropped });
+    }
+
+    if (resource === "archive") {
+      if (method === "GET") {
+        return jsonResponse({ messages: await this.storage.get("archive") || [] });
+      }
+      if (method === "DELETE") {
+        await this.storage.delete("archive");
+        return jsonResponse({ cleared: true });
+      }
+    }
+
+    if (resource === "summary" && method === "PUT") {
+      const conversation = await this.getConversation();
+      if (conversation.summary !== (body.previous || "")) {
+        return jsonResponse({ applied: false, summary: conversation.summary });
+      }
+      await this.storage.put("conversation", { ...conversation, summary: body.summary || "" });
+      return jsonResponse({ applied: true, summary: body.summary || "" });
+    }
+
+    if (resource === "state" && name) {
+      const key = `state:${name}`;
+      if (method === "GET") {
+        return jsonResponse({ value: await this.getState(key) });
+      }
+      if (method === "PUT") {
+        await this.storage.put(key, { value: body.value, expireAt: Date.now() + (body.ttlSeconds || ANSWER_TTL_SECONDS) * 1000 });
+        await this.extendExpiry(body.ttlSeconds, false);
+        return jsonResponse({ saved: true });
+      }
+      if (method === "DELETE") {
+        await this.storage.delete(key);
+        return jsonResponse({ deleted: true });
+      }
+      // 取出数组状态的第一项，剩余部分原样保留（不延长有效期）
+      if (method === "POST" && action === "shift") {
+        const entry = await this.storage.get(key);
+        const items = entry && entry.expireAt > Date.now() && Array.isArray(entry.value) ? entry.value : [];
+        if (items.length === 0) {
+          return jsonResponse({ item: null, remaining: 0 });
+        }
+        const [item, ...rest] = items;
+        if (rest.length > 0) {
+          await this.storage.put(key, { ...entry, value: rest });
+        } else {
+          await this.storage.delete(key);
+        }
+        return jsonResponse({ item, remaining: rest.length });
+      }
+    }
+
+    return jsonResponse({ error: "Not Found" }, 404);
+  }
+
+  async alarm() {
+    await this.storage.deleteAll();
+  }
+
+  async getConversation() {
+    const conversation = await this.storage.get("conversation");
+    return { history: conversation?.history || [], summary: conversation?.summary || "" };
+  }
+
+  async getState(key) {
+    const entry = await this.storage.get(key);
+    if (!entry) return null;
+    if (entry.expireAt <= Date.now()) {
+      await this.storage.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  // 会话写入时顺延清理时间；只有临时状态时按状态的有效期清理，不缩短已有的清理时间
+  async extendExpiry(ttlSeconds, extend = true) {
+    const expireAt = Date.now() + (ttlSeconds || DEFAULT_HISTORY_KV_TTL_SECONDS) * 1000;
+    const current = await this.storage.getAlarm();
+    if (extend || !current || current < expireAt) {
+      await this.storage.setAlarm(expireAt);
+    }
+  }
+}
+
+// -------- 多公众号 --------
+
+// 账号配置来自 KV 的 config:accounts 或 WECHAT_ACCOUNTS，格式：
+// { "<accountId>": { "originalId": "gh_xxx", "WECHAT_TOKEN": "...", "OPENAI_SYSTEM_PROMPT": "...", ... } }
+// 除 originalId 外的字段按同名环境变量覆盖。
+// 返回 { id, config }；未配置多账号或未匹配时返回 null（使用默认环境变量），路径中的账号不存在时返回 false
+async function resolveAccount(request, env) {
+  const accounts = await getAccounts(env);
+  if (!accounts) return null;
+
+  const url = new URL(request.url);
+  const pathMatch = url.pathname.match(/^\/wx\/([^/]+)\/?$/);
+  if (pathMatch) {
+    let id;
+    try {
+      id = decodeURIComponent(pathMatch[1]);
+    } catch (error) {
+      // 路径中的 %xx 编码不合法，按不存在的账号处理
+      return false;
+    }
+    return accounts[id] ? { id, config: accounts[id] } : false;
+  }
+
+  // 管理接口和统计接口通过 ?account=<accountId> 操作指定账号的数据
+  if (url.pathname === "/admin" || url.pathname.startsWith("/admin/") || url.pathname === "/stats") {
+    const id = url.searchParams.get("account");
+    if (!id) return null;
+    return accounts[id] ? { id, config: accounts[id] } : false;
+  }
+
+  // 导出链接的 token 中带有账号 ID，签名在 handleTranscriptRequest 中用该账号的配置校验
+  if (url.pathname.startsWith("/transcript/")) {
+    const id = decodeTranscriptToken(getTranscriptToken(url))?.a;
+    if (!id) return null;
+    return accounts[id] ? { id, config: accounts[id] } : false;
+  }
+
+  // 共用同一个 URL 时按消息的 ToUserName（公众号原始 ID）匹配；
+  // 服务器地址校验（GET）没有消息体，按各账号的 Token 逐个验签
+  if (request.method === "POST") {
+    const toUserName = parseWechatXML(await request.clone().text())?.ToUserName;
+    const entry = Object.entries(accounts).find(([, config]) => toUserName && config.originalId === toUserName);
+    return entry ? { id: entry[0], config: entry[1] } : null;
+  }
+
+  if (request.method === "GET") {
+    const { searchParams } = url;
+    for (const [id, config] of Object.entries(accounts)) {
+      if (config.WECHAT_TOKEN && await checkSignature(
+        searchParams.get("signature"), searchParams.get("timestamp"), searchParams.get("nonce"), config.WECHAT_TOKEN
+      )) {
+        return { id, config };
+      }
+    }
+  }
+  return null;
+}
+
+async function getAccounts(env) {
+  const accounts = await getJSONConfig("accounts", env.WECHAT_ACCOUNTS, env);
+  return accounts && typeof accounts === "object" && !Array.isArray(accounts) && Object.keys(accounts).length > 0
+    ? accounts
+    : null;
+}
+
+// 账号配置覆盖环境变量，KV 中的所有键（历史、缓存、计数、运行时配置等）加上 account:<id>: 前缀，
+// 保证不同公众号的数据互不混用
+function applyAccountConfig(env, accountId, config) {
+  const overrides = Object.fromEntries(
+    Object.entries(config).filter(([key, value]) => key !== "originalId" && typeof value === "string")
+  );
+  return {
+    ...env,
+    ...overrides,
+    ACCOUNT_ID: accountId,
+    AI_CHAT_HISTORY: scopeKVNamespace(env.AI_CHAT_HISTORY, `account:${accountId}:`)
+  };
+}
+
+function scopeKVNamespace(kvNamespace, prefix) {
+  if (!kvNamespace) return kvNamespace;
+  return {
+    get: (key, options) => kvNamespace.get(prefix + key, options),
+    put: (key, value, options) => kvNamespace.put(prefix + key, value, options),
+    delete: key => kvNamespace.delete(prefix + key),
+    async list(options = {}) {
+      const result = await kvNamespace.list({ ...options, prefix: prefix + (options.prefix || "") });
+      return { ...result, keys: result.keys.map(key => ({ ...key, name: key.name.slice(prefix.length) })) };
+    }
+  };
+}
+
+// 内存缓存的 key 同样按账号隔离，管理接口通过 ?account= 写入或多个账号共用 AppID 时也不会串号
+function scopeCacheKey(key, env) {
+  return env.ACCOUNT_ID ? `${env.ACCOUNT_ID}:${key}` : key;
+}
+
+// -------- 请求日志与统计 --------
+
+// 输出一条 JSON 日志（Workers Logs 可直接按字段检索），并写入 Analytics Engine 与每日统计
+function emitRequestLog(requestLog, env) {
+  const { startedAt, background, ...fields } = requestLog;
+  console.log(JSON.stringify({ type: "wechat_request", ...fields }));
+
+  if (env.ANALYTICS && typeof env.ANALYTICS.writeDataPoint === "function") {
+    try {
+      env.ANALYTICS.writeDataPoint({
+        indexes: [fields.userId || ""],
+        blobs: [
+          fields.account, fields.msgType || "", fields.event || "", fields.provider || "", fields.model || "",
+          fields.errorClass || "", fields.historySource || ""
+        ],
+        doubles: [
+          fields.status || 0, fields.latencyMs || 0, fields.aiLatencyMs || 0, fields.timedOut ? 1 : 0,
+          fields.usage?.promptTokens || 0, fields.usage?.completionTokens || 0, fields.usage?.totalTokens || 0
+        ]
+      });
+    } catch (error) {
+      console.warn("Analytics Engine 写入失败:", error);
+    }
+  }
+
+  // 未解析出消息的请求（验签失败、重放等）只记日志，不计入统计
+  if (!fields.msgType) return;
+  return recordDailyStats(requestLog, env);
+}
+
+function buildStatsDelta(requestLog) {
+  const totalTokens = requestLog.usage?.totalTokens || 0;
+  const delta = {
+    requests: 1,
+    timeouts: requestLog.timedOut ? 1 : 0,
+    errors: requestLog.errorClass ? 1 : 0,
+    latencyMsTotal: requestLog.latencyMs || 0,
+    messageTypes: { [requestLog.event ? `event:${requestLog.event.toLowerCase()}` : requestLog.msgType]: 1 },
+    providers: {}
+  };
+
+  for (const provider of requestLog.failedProviders || []) {
+    mergeCounters(delta.providers, { [provider]: { errors: 1 } });
+  }
+  if (requestLog.provider) {
+    delta.aiRequests = 1;
+    delta.aiLatencyMsTotal = requestLog.aiLatencyMs || 0;
+    delta.promptTokens = requestLog.usage?.promptTokens || 0;
+    delta.completionTokens = requestLog.usage?.completionTokens || 0;
+    delta.totalTokens = totalTokens;
+    mergeCounters(delta.providers, {
+      [requestLog.provider]: {
+        requests: 1,
+        timeouts: requestLog.timedOut ? 1 : 0,
+        latencyMsTotal: requestLog.aiLatencyMs || 0,
+        totalTokens,
+        models: { [requestLog.model || "unknown"]: 1 }
+      }
+    });
+  }
+  if (requestLog.historySource) {
+    delta.historySources = { [requestLog.historySource]: 1 };
+  }
+  return delta;
+}
+
+// 每日统计先在内存中累加，同一实例每 STATS_FLUSH_INTERVAL_MS 合并写入一次 KV 的 stats:<日期>，
+// 避免同一个 key 写入过于频繁；实例回收时未写入的部分会丢失，统计值为近似值
+function recordDailyStats(requestLog, env) {
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (!kvNamespace) return;
+
+  const date = getBeijingDate(requestLog.startedAt);
+  const bufferKey = scopeCacheKey(`stats:${date}`, env);
+  const buffer = statsBuffers.get(bufferKey) || { date, kvNamespace, pending: {}, users: {}, flushedAt: 0 };
+  mergeCounters(buffer.pending, buildStatsDelta(requestLog));
+  if (requestLog.userId) {
+    mergeCounters(buffer.users, { [requestLog.userId]: { requests: 1, totalTokens: requestLog.usage?.totalTokens || 0 } });
+  }
+  statsBuffers.set(bufferKey, buffer);
+
+  const now = Date.now();
+  const flushes = [];
+  for (const [key, entry] of statsBuffers.entries()) {
+    // 跨天后立即写入前一天的剩余数据
+    if (entry.date !== date) {
+      statsBuffers.delete(key);
+      flushes.push(flushDailyStats(entry));
+    } else if (key === bufferKey && now - entry.flushedAt >= STATS_FLUSH_INTERVAL_MS) {
+      flushes.push(flushDailyStats(entry));
+    }
+  }
+  return Promise.all(flushes);
+}
+
+// 每个用户的当日计数单独保存在 stats-user:<日期>:<OpenID> 中，stats:<日期> 只记录活跃用户数和请求最多的前
+// STATS_TOP_USERS 个用户，避免该 key 随用户数增长
+async function flushDailyStats(buffer) {
+  const { pending, users } = buffer;
+  if (Object.keys(pending).length === 0) return;
+  buffer.pending = {};
+  buffer.users = {};
+  buffer.flushedAt = Date.now();
+
+  const userTotals = (await Promise.all(Object.entries(users).map(async ([userId, delta]) => {
+    const key = `stats-user:${buffer.date}:${userId}`;
+    try {
+      const kvData = await buffer.kvNamespace.get(key);
+      const total = mergeCounters(kvData ? JSON.parse(kvData) : {}, delta);
+      await buffer.kvNamespace.put(key, JSON.stringify(total), { expirationTtl: STATS_TTL_SECONDS });
+      return { userId, isNew: !kvData, requests: total.requests || 0, totalTokens: total.totalTokens || 0 };
+    } catch (error) {
+      console.error("写入用户统计失败:", error);
+      mergeCounters(buffer.users, { [userId]: delta });
+      return null;
+    }
+  }))).filter(Boolean);
+  pending.activeUsers = userTotals.filter(item => item.isNew).length;
+
+  try {
+    const kvData = await buffer.kvNamespace.get(`stats:${buffer.date}`);
+    const stats = normalizeDailyStats(kvData ? JSON.parse(kvData) : {});
+    mergeCounters(stats, pending);
+    // 用户计数已是当天累计值，直接替换排行中的旧值
+    const topUsers = new Map((stats.topUsers || []).map(item => [item.userId, item]));
+    for (const { userId, requests, totalTokens } of userTotals) {
+      topUsers.set(userId, { userId, requests, totalTokens });
+    }
+    stats.topUsers = rankTopUsers([...topUsers.values()]);
+    await buffer.kvNamespace.put(`stats:${buffer.date}`, JSON.stringify(stats), { expirationTtl: STATS_TTL_SECONDS });
+  } catch (error) {
+    console.error("写入每日统计失败:", error);
+    mergeCounters(buffer.pending, pending);
+  }
+}
+
+// 旧版本在 stats:<日期> 的 users 中记录全部用户，读取时转换为 activeUsers + topUsers
+function normalizeDailyStats(stats) {
+  if (!stats.users) return stats;
+  const { users, ...rest } = stats;
+  return {
+    ...rest,
+    activeUsers: Object.keys(users).length,
+    topUsers: rankTopUsers(Object.entries(users).map(([userId, item]) => ({
+      userId,
+      requests: item.requests || 0,
+      totalTokens: item.totalTokens || 0
+    })))
+  };
+}
+
+function rankTopUsers(users) {
+  return users.sort((a, b) => b.requests - a.requests).slice(0, STATS_TOP_USERS);
+}
+
+// 按字段递归累加数字
+function mergeCounters(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value && typeof value === "object") {
+      target[key] = mergeCounters(target[key] && typeof target[key] === "object" ? target[key] : {}, value);
+    } else if (typeof value === "number") {
+      target[key] = (target[key] || 0) + value;
+    }
+  }
+  return target;
+}
+
+// 统一 OpenAI / Workers AI、Gemini、Anthropic 的用量字段；多轮工具调用的用量累加
+function recordModelUsage(options, model, usage) {
+  const metrics = options.metrics;
+  if (!metrics) return;
+  metrics.model = model;
+  if (!usage) return;
+
+  const promptTokens = usage.prompt_tokens ?? usage.promptTokenCount ?? usage.input_tokens ?? 0;
+  const completionTokens = usage.completion_tokens ?? usage.candidatesTokenCount ?? usage.output_tokens ?? 0;
+  const totalTokens = usage.total_tokens ?? usage.totalTokenCount ?? promptTokens + completionTokens;
+  metrics.usage = mergeCounters(metrics.usage || {}, { promptTokens, completionTokens, totalTokens });
+}
+
+// 错误分类：timeout、http_<状态码>、empty_response，其余使用错误名称
+function classifyError(error) {
+  if (error?.name === "TimeoutError" || error?.name === "AbortError") {
+    return "timeout";
+  }
+  const status = String(error?.message || "").match(/Error (\d{3})\b/);
+  if (status) {
+    return `http_${status[1]}`;
+  }
+  if (/返回内容为空/.test(error?.message || "")) {
+    return "empty_response";
+  }
+  return error?.name || "Error";
+}
+
+// GET /stats?days=7&users=20：最近 N 天的每日统计；?month=2024-01 查看定时任务生成的月度汇总。鉴权方式与管理接口相同
+async function handleStatsRequest(request, env) {
+  if (!env.ADMIN_SECRET) {
+    return new Response("Not Found", { status: 404 });
+  }
+  if (!isAdminAuthorized(request, env)) {
+    return jsonResponse({ error: "Unauthorized" }, 401);
+  }
+  if (!env.AI_CHAT_HISTORY) {
+    return jsonResponse({ error: "未绑定 AI_CHAT_HISTORY KV" }, 501);
+  }
+
+  const { searchParams } = new URL(request.url);
+  const days = Math.min(getPositiveInt(searchParams.get("days")) || 7, STATS_MAX_DAYS);
+  const userLimit = Math.min(getPositiveInt(searchParams.get("users")) || 20, 100);
+  const month = searchParams.get("month");
+  if (month) {
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      return jsonResponse({ error: "month 格式应为 YYYY-MM" }, 400);
+    }
+    const monthly = await getMonthlyStats(month, env);
+    const { date, ...summary } = summarizeDailyStats(month, monthly.stats, userLimit);
+    return jsonResponse({ month, days: monthly.days, ...summary });
+  }
+  const now = Date.now();
+
+  const result = [];
+  for (let i = 0; i < days; i++) {
+    const date = getBeijingDate(now - i * 24 * 60 * 60 * 1000);
+    // 先写入本实例尚未落盘的数据
+    const buffer = statsBuffers.get(scopeCacheKey(`stats:${date}`, env));
+    if (buffer) {
+      await flushDailyStats(buffer);
+    }
+    const kvData = await env.AI_CHAT_HISTORY.get(`stats:${date}`);
+    result.push(summarizeDailyStats(date, normalizeDailyStats(kvData ? JSON.parse(kvData) : {}), userLimit));
+  }
+  return jsonResponse({ days: result });
+}
+
+function summarizeDailyStats(date, stats, userLimit) {
+  const average = (total, count) => (count ? Math.round(total / count) : null);
+  const providers = Object.fromEntries(Object.entries(stats.providers || {}).map(([name, item]) => [name, {
+    requests: item.requests || 0,
+    errors: item.errors || 0,
+    timeouts: item.timeouts || 0,
+    avgLatencyMs: average(item.latencyMsTotal, item.requests),
+    totalTokens: item.totalTokens || 0,
+    models: item.models || {}
+  }]));
+  return {
+    date,
+    requests: stats.requests || 0,
+    aiRequests: stats.aiRequests || 0,
+    timeouts: stats.timeouts || 0,
+    errors: stats.errors || 0,
+    timeoutRate: stats.requests ? Number(((stats.timeouts || 0) / stats.requests).toFixed(4)) : 0,
+    avgLatencyMs: average(stats.latencyMsTotal, stats.requests),
+    avgAiLatencyMs: average(stats.aiLatencyMsTotal, stats.aiRequests),
+    tokens: {
+      prompt: stats.promptTokens || 0,
+      completion: stats.completionTokens || 0,
+      total: stats.totalTokens || 0
+    },
+    messageTypes: stats.messageTypes || {},
+    historySources: stats.historySources || {},
+    providers,
+    activeUsers: stats.activeUsers || 0,
+    topUsers: (stats.topUsers || []).slice(0, userLimit)
+  };
+}
+
+// -------- 定时任务 --------
+
+const SCHEDULED_JOB_HANDLERS = {
+  token: runTokenJob,
+  cleanup: runCleanupJob,
+  rollup: runRollupJob,
+  push: runDailyPushJob
+};
+
+// 依次对默认配置和每个公众号执行本次 Cron 对应的任务；单个任务失败只记录错误，不影响其他任务。
+// 所有任务都可重复执行，Cron 重试或手动补跑不会重复刷新、重复汇总或重复推送
+async function handleScheduled(event, env, ctx) {
+  const jobs = resolveScheduledJobs(event.cron, env);
+  const targets = [{ account: "default", env: await applyRuntimeConfig(env) }];
+  const accounts = await getAccounts(env);
+  for (const [id, config] of Object.entries(accounts || {})) {
+    targets.push({ account: id, env: await applyRuntimeConfig(applyAccountConfig(env, id, config)) });
+  }
+
+  // run 在同一次执行的各账号间共享，例如记录各 AppID 本次使用的 access_token
+  const run = { event, ctx, accessTokens: new Map() };
+  const results = {};
+  for (const target of targets) {
+    results[target.account] = {};
+    for (const job of jobs) {
+      try {
+        results[target.account][job] = await SCHEDULED_JOB_HANDLERS[job](target.env, run);
+      } catch (error) {
+        console.error(`定时任务 ${job} 执行失败（${target.account}）:`, error);
+        results[target.account][job] = { error: error.message };
+      }
+    }
+  }
+  console.log(JSON.stringify({ type: "scheduled", cron: event.cron, scheduledTime: event.scheduledTime, results }));
+  return results;
+}
+
+// SCHEDULED_JOBS 为逗号分隔的任务列表（所有 Cron 相同），或按 Cron 表达式分别配置的 JSON：
+// { "*/5 * * * *": "token", "0 0 * * *": "cleanup,rollup,push" }，JSON 中未列出的 Cron 不执行任务；未知任务名会被忽略
+function resolveScheduledJobs(cron, env) {
+  const configured = (env.SCHEDULED_JOBS || "").trim();
+  const jobs = configured.startsWith("{")
+    ? getCommands(String(parseJSONConfig("SCHEDULED_JOBS", configured)?.[cron] || ""), [])
+    : getCommands(configured, DEFAULT_SCHEDULED_JOBS);
+  return jobs.map(job => job.toLowerCase()).filter(job => SCHEDULED_JOB_HANDLERS[job]);
+}
+
+// 预热 access_token：缓存不存在或即将过期时刷新，用户消息触发的接口调用无需再等待获取 token。
+// 多个账号共用同一个 AppID 时只刷新一次，避免相互使对方的 token 失效；
+// token 缓存按账号隔离，因此把本次使用的 token 同步写入其余共用该 AppID 的账号
+async function runTokenJob(env, run) {
+  if (!env.WECHAT_APPID || !env.WECHAT_APPSECRET) {
+    return { skipped: "未配置 WECHAT_APPID / WECHAT_APPSECRET" };
+  }
+  const cacheKey = `access_token:${env.WECHAT_APPID}`;
+  const cached = await getCachedValue(cacheKey, env);
+  const shared = run.accessTokens.get(env.WECHAT_APPID);
+  if (shared) {
+    if (cached?.token === shared.token) {
+      return { skipped: "AppID 已在其他账号中处理" };
+    }
+    await setCachedValue(cacheKey, shared, Math.ceil((shared.expireAt - Date.now()) / 1000), env);
+    return { synced: true, expireAt: new Date(shared.expireAt).toISOString() };
+  }
+
+  if (cached?.token && cached.expireAt - ACCESS_TOKEN_PREWARM_MS > Date.now()) {
+    run.accessTokens.set(env.WECHAT_APPID, cached);
+    return { refreshed: false, expireAt: new Date(cached.expireAt).toISOString() };
+  }
+  await getAccessToken(env, true);
+  run.accessTokens.set(env.WECHAT_APPID, await getCachedValue(cacheKey, env));
+  return { refreshed: true };
+}
+
+// 清理 30 天未活跃（active:<openid> 已过期）用户的会话历史、设置、推送订阅和导出归档；
+// 会话历史的 key 为不含冒号的 OpenID，其余业务数据都带前缀，不会被误删。
+// 首次运行时，旧版本写入的数据还没有活跃记录：先为这些用户补写 active:<openid> 并跳过删除，
+// 补写完成后记录 cleanup:seeded，之后按正常的过期时间清理
+async function runCleanupJob(env) {
+  cleanExpiredCache();
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (!kvNamespace) {
+    return { skipped: "未绑定 AI_CHAT_HISTORY KV" };
+  }
+
+  const activeUsers = new Set();
+  await forEachKVKey(kvNamespace, "active:", key => {
+    activeUsers.add(key.name.slice("active:".length));
+  });
+
+  const seeding = !await kvNamespace.get(CLEANUP_SEEDED_KEY);
+  const staleKeys = [];
+  const unseenUsers = new Set();
+  let scanned = 0;
+  await forEachKVKey(kvNamespace, "", key => {
+    scanned++;
+    const match = key.name.match(/^(?:(settings|push|archive):)?([^:]+)$/);
+    if (match && !activeUsers.has(match[2])) {
+      staleKeys.push(key.name);
+      unseenUsers.add(match[2]);
+    }
+    return seeding || staleKeys.length < CLEANUP_MAX_DELETES;
+  });
+
+  if (seeding) {
+    for (const userId of unseenUsers) {
+      await putActiveRecord(kvNamespace, userId, env);
+    }
+    await kvNamespace.put(CLEANUP_SEEDED_KEY, new Date().toISOString());
+    return { scanned, activeUsers: activeUsers.size, seeded: unseenUsers.size, deleted: 0 };
+  }
+
+  for (const name of staleKeys) {
+    await kvNamespace.delete(name);
+  }
+  return { scanned, activeUsers: activeUsers.size, deleted: staleKeys.length };
+}
+
+// 分页遍历指定前缀的 KV 键，callback 返回 false 时停止
+async function forEachKVKey(kvNamespace, prefix, callback) {
+  let cursor;
+  do {
+    const result = await kvNamespace.list({ prefix, cursor });
+    for (const key of result.keys) {
+      if (callback(key) === false) return;
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+}
+
+// 把已结束的日期的 stats:<日期> 合并进 stats:month:<月份>；
+// 已合并的日期记录在月度汇总的 days 中，与计数在同一次写入里更新，重复执行不会重复累加
+async function runRollupJob(env) {
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (!kvNamespace) {
+    return { skipped: "未绑定 AI_CHAT_HISTORY KV" };
+  }
+
+  // 先写入本实例缓冲中尚未落盘的统计
+  await Promise.all([...statsBuffers.values()].map(buffer => flushDailyStats(buffer)));
+
+  const rolledUp = [];
+  const months = new Map();
+  for (let i = ROLLUP_LOOKBACK_DAYS; i >= 1; i--) {
+    const date = getBeijingDate(Date.now() - i * 24 * 60 * 60 * 1000);
+    const month = date.slice(0, 7);
+    if (!months.has(month)) {
+      months.set(month, await getMonthlyStats(month, env));
+    }
+    const monthly = months.get(month);
+    if (monthly.days.includes(date)) continue;
+
+    const kvData = await kvNamespace.get(`stats:${date}`);
+    if (kvData) {
+      // 月度的 activeUsers 为每日活跃用户数之和，topUsers 由每日排行累加得到
+      const { topUsers = [], ...counters } = normalizeDailyStats(JSON.parse(kvData));
+      mergeCounters(monthly.stats, counters);
+      const merged = new Map((monthly.stats.topUsers || []).map(item => [item.userId, item]));
+      for (const item of topUsers) {
+        const current = merged.get(item.userId) || { requests: 0, totalTokens: 0 };
+        merged.set(item.userId, {
+          userId: item.userId,
+          requests: current.requests + item.requests,
+          totalTokens: current.totalTokens + item.totalTokens
+        });
+      }
+      monthly.stats.topUsers = rankTopUsers([...merged.values()]);
+    }
+    monthly.days.push(date);
+    monthly.changed = true;
+    rolledUp.push(date);
+  }
+
+  for (const [month, monthly] of months.entries()) {
+    if (!monthly.changed) continue;
+    monthly.days.sort();
+    await kvNamespace.put(`stats:month:${month}`, JSON.stringify({ days: monthly.days, stats: monthly.stats }), {
+      expirationTtl: STATS_MONTH_TTL_SECONDS
+    });
+  }
+  return { rolledUp };
+}
+
+async function getMonthlyStats(month, env) {
+  const kvData = await env.AI_CHAT_HISTORY.get(`stats:month:${month}`);
+  const monthly = kvData ? JSON.parse(kvData) : {};
+  return { days: Array.isArray(monthly.days) ? monthly.days : [], stats: normalizeDailyStats(monthly.stats || {}) };
+}
+
+function isDailyPushConfigured(env) {
+  return Boolean(env.DAILY_PUSH_MESSAGE || env.DAILY_PUSH_PROMPT);
+}
+
+// 通过客服消息给订阅了 /push 的用户推送当天内容。DAILY_PUSH_MESSAGE 为模板（支持 {date} {weekday} {openid} 等），
+// DAILY_PUSH_PROMPT 为提示词，每次执行只调用一次 AI 生成全员共用的内容；两者都配置时优先使用 AI，失败时退回模板。
+// 订阅记录中的 lastPushedDate 保证同一天只推送一次，超过 48 小时未互动的用户跳过
+async function runDailyPushJob(env) {
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (!kvNamespace || !isDailyPushConfigured(env)) {
+    return { skipped: "未配置 DAILY_PUSH_MESSAGE / DAILY_PUSH_PROMPT 或未绑定 KV" };
+  }
+
+  const now = getBeijingTime();
+  const maxUsers = getPositiveInt(env.DAILY_PUSH_MAX_USERS) || DEFAULT_DAILY_PUSH_MAX_USERS;
+  const subscribers = [];
+  await forEachKVKey(kvNamespace, "push:", key => {
+    subscribers.push(key.name.slice("push:".length));
+  });
+
+  let generated;
+  const result = { subscribers: subscribers.length, sent: 0, alreadySent: 0, inactive: 0, failed: 0, deferred: 0 };
+  for (const [index, userId] of subscribers.entries()) {
+    // 超出单次上限的用户留给下一次执行（需在 SCHEDULED_JOBS 中为 push 配置多个时间点）
+    if (result.sent >= maxUsers) {
+      result.deferred = subscribers.length - index;
+      break;
+    }
+    const subscription = await getPushSubscription(userId, env);
+    if (!subscription) continue;
+    if (subscription.lastPushedDate === now.date) {
+      result.alreadySent++;
+      continue;
+    }
+    const lastActiveAt = Date.parse(await kvNamespace.get(`active:${userId}`) || "");
+    if (!(Date.now() - lastActiveAt < CUSTOM_MESSAGE_WINDOW_MS)) {
+      result.inactive++;
+      continue;
+    }
+
+    generated ??= await generateDailyPushText(env, now);
+    const text = generated
+      || (env.DAILY_PUSH_MESSAGE ? renderRuleReply(env.DAILY_PUSH_MESSAGE, { message: "", openid: userId, now, match: [] }) : "");
+    if (!text) {
+      return { ...result, error: "推送内容生成失败" };
+    }
+    try {
+      await sendCustomMessage(userId, text, env);
+      await kvNamespace.put(`push:${userId}`, JSON.stringify({ ...subscription, lastPushedDate: now.date }));
+      result.sent++;
+    } catch (error) {
+      console.error(`每日推送失败（${userId}）:`, error);
+      result.failed++;
+    }
+  }
+  return result;
+}
+
+// 未配置 DAILY_PUSH_PROMPT 或生成失败时返回空字符串，由调用方退回模板
+async function generateDailyPushText(env, now) {
+  if (!env.DAILY_PUSH_PROMPT) {
+    return "";
+  }
+  try {
+    const prompt = renderRuleReply(env.DAILY_PUSH_PROMPT, { message: "", openid: "", now, match: [] });
+    const reply = await chatWithProviders({ text: prompt, historyText: prompt }, env, []);
+    return splitReplyPages(renderWechatText(reply, env), getReplyMaxBytes(env))[0] || "";
+  } catch (error) {
+    console.error("每日推送内容生成失败:", error);
+    return "";
+  }
+}
+
+// -------- 配置 --------
+
+// KV 中的 config:<name> 优先，其次是 JSON 格式的环境变量；结果在内存中缓存 1 分钟
+async function getJSONConfig(name, envValue, env) {
+  const cached = configCache.get(scopeCacheKey(name, env));
+  if (cached && cached.expireAt > Date.now()) {
+    return cached.value ?? parseJSONConfig(name, envValue);
+  }
+
+  let value = null;
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (kvNamespace) {
+    try {
+      const kvData = await kvNamespace.get(`config:${name}`);
+      value = kvData ? JSON.parse(kvData) : null;
+    } catch (error) {
+      console.warn(`KV 读取配置 ${name} 失败:`, error);
+    }
+  }
+  configCache.set(scopeCacheKey(name, env), { value, expireAt: Date.now() + CONFIG_CACHE_TTL });
+
+  return value ?? parseJSONConfig(name, envValue);
+}
+
+// 写入 KV 中的 config:<name>，value 为 null 时删除；同时刷新本实例的配置缓存
+async function putJSONConfig(name, value, env) {
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (value === null) {
+    await kvNamespace.delete(`config:${name}`);
+  } else {
+    await kvNamespace.put(`config:${name}`, JSON.stringify(value));
+  }
+  configCache.set(scopeCacheKey(name, env), { value, expireAt: Date.now() + CONFIG_CACHE_TTL });
+}
+
+async function getRuntimeOverrides(env) {
+  const overrides = await getJSONConfig("runtime", null, env);
+  return overrides && typeof overrides === "object" && !Array.isArray(overrides) ? overrides : {};
+}
+
+// 运行时配置只允许覆盖 RUNTIME_CONFIG_KEYS 中的非敏感项
+async function applyRuntimeConfig(env) {
+  if (!env.AI_CHAT_HISTORY) {
+    return env;
+  }
+  const overrides = await getRuntimeOverrides(env);
+  const applied = Object.entries(overrides).filter(([key]) => RUNTIME_CONFIG_KEYS.includes(key));
+  return applied.length > 0 ? { ...env, ...Object.fromEntries(applied) } : env;
+}
+
+function parseJSONConfig(name, envValue) {
+  if (!envValue) return null;
+  if (typeof envValue === "object") return envValue;
+  try {
+    return JSON.parse(envValue);
+  } catch (error) {
+    console.warn(`配置 ${name} 不是合法的 JSON:`, error);
+    return null;
+  }
+}
+
+// -------- 短期缓存（内存 + KV） --------
+
+// 内存优先，KV 兜底跨实例共享；值统一按 JSON 存储
+async function getCachedValue(key, env) {
+  const memoryKey = scopeCacheKey(key, env);
+  const cached = shortTermCache.get(memoryKey);
+  if (cached) {
+    if (cached.expireAt > Date.now()) {
+      return cached.value;
+    }
+    shortTermCache.delete(memoryKey);
+  }
+
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (!kvNamespace) return null;
+
+  try {
+    const kvData = await kvNamespace.get(`cache:${key}`);
+    return kvData ? JSON.parse(kvData) : null;
+  } catch (error) {
+    console.warn("KV 读取缓存失败:", error);
+    return null;
+  }
+}
+
+function setCachedValue(key, value, ttlSeconds, env, ctx) {
+  const now = Date.now();
+  for (const [cacheKey, cached] of shortTermCache.entries()) {
+    if (cached.expireAt <= now) {
+      shortTermCache.delete(cacheKey);
+    }
+  }
+  shortTermCache.set(scopeCacheKey(key, env), { value, expireAt: now + ttlSeconds * 1000 });
+
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (!kvNamespace) return;
+
+  // KV 的 expirationTtl 最小为 60 秒
+  const writePromise = kvNamespace.put(`cache:${key}`, JSON.stringify(value), {
+    expirationTtl: Math.max(ttlSeconds, 60)
+  }).catch(err => console.error("KV 写入缓存失败:", err));
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(writePromise);
+  }
+  return writePromise;
+}
+
+function deleteCachedValue(key, env, ctx) {
+  shortTermCache.delete(scopeCacheKey(key, env));
+
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (!kvNamespace) return;
+
+  const deletePromise = kvNamespace.delete(`cache:${key}`)
+    .catch(err => console.error("KV 删除缓存失败:", err));
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(deletePromise);
+  }
+}
+
+// -------- 频率与额度限制 --------
+
+// 依次检查全站每日上限、每分钟、每日消息数和每日 token 额度；超限返回提示文案，否则计数并返回 null
+// VIP 用户不受个人限制，但仍计入全站每日上限
+async function checkRateLimit(userId, env, ctx) {
+  const now = Date.now();
+  const date = getBeijingDate(now);
+  const checks = [];
+
+  const globalPerDay = getPositiveInt(env.GLOBAL_DAILY_LIMIT);
+  if (globalPerDay) {
+    checks.push({
+      key: `global:${date}`,
+      limit: globalPerDay,
+      ttl: RATE_DAY_TTL_SECONDS,
+      reply: env.GLOBAL_LIMIT_REPLY || "今天的服务额度已用完，请明天再来吧。"
+    });
+  }
+
+  if (!isVipUser(userId, env)) {
+    const perMinute = getPositiveInt(env.RATE_LIMIT_PER_MINUTE);
+    if (perMinute) {
+      checks.push({
+        key: `minute:${userId}:${Math.floor(now / 60000)}`,
+        limit: perMinute,
+        ttl: RATE_MINUTE_TTL_SECONDS,
+        reply: env.RATE_LIMIT_REPLY || "消息太频繁了，每分钟最多 {limit} 条，请稍后再试。"
+      });
+    }
+
+    const perDay = getPositiveInt(env.RATE_LIMIT_PER_DAY);
+    if (perDay) {
+      checks.push({
+        key: `day:${userId}:${date}`,
+        limit: perDay,
+        ttl: RATE_DAY_TTL_SECONDS,
+        reply: env.DAILY_LIMIT_REPLY || "今天的 {limit} 条提问额度已用完，明天再来吧。"
+      });
+    }
+
+    // token 额度在回复完成后累加，这里只检查不计数
+    const tokensPerDay = getPositiveInt(env.TOKEN_LIMIT_PER_DAY);
+    if (tokensPerDay) {
+      checks.push({
+        key: `tokens:${userId}:${date}`,
+        limit: tokensPerDay,
+        reply: env.TOKEN_LIMIT_REPLY || "今天的对话额度已用完，明天再来吧。",
+        checkOnly: true
+      });
+    }
+  }
+
+  for (const check of checks) {
+    const count = await getRateCounter(check.key, env);
+    if (count >= check.limit) {
+      console.warn(`Rate limited: ${check.key} (${count}/${check.limit})`);
+      return check.reply.replace(/\{limit\}/g, String(check.limit));
+    }
+  }
+
+  for (const check of checks) {
+    if (!check.checkOnly) {
+      incrementRateCounter(check.key, 1, check.ttl, env, ctx);
+    }
+  }
+  return null;
+}
+
+// 按字符粗略估算 token：中日韩字符约 1 个 token，其他字符约 4 个一个 token
+function estimateTokens(text) {
+  const value = text || "";
+  const cjkCount = (value.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+  return cjkCount + Math.ceil((value.length - cjkCount) / 4);
+}
+
+function recordTokenUsage(userId, texts, env, ctx) {
+  if (!getPositiveInt(env.TOKEN_LIMIT_PER_DAY) || isVipUser(userId, env)) {
+    return;
+  }
+  const tokens = texts.reduce((sum, text) => sum + estimateTokens(text), 0);
+  incrementRateCounter(`tokens:${userId}:${getBeijingDate()}`, tokens, RATE_DAY_TTL_SECONDS, env, ctx);
+}
+
+function isVipUser(userId, env) {
+  return (env.VIP_OPENIDS || "")
+    .split(",")
+    .map(item => item.trim())
+    .includes(userId);
+}
+
+// 计数器：内存优先，未命中时从 KV 加载；KV 最终一致，跨实例计数为近似值
+async function getRateCounter(key, env) {
+  const memoryKey = scopeCacheKey(key, env);
+  const cached = rateCounters.get(memoryKey);
+  if (cached && cached.expireAt > Date.now()) {
+    return cached.count;
+  }
+
+  let count = 0;
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (kvNamespace) {
+    try {
+      count = Number.parseInt(await kvNamespace.get(`rate:${key}`) || "0", 10) || 0;
+    } catch (error) {
+      console.warn("KV 读取计数失败:", error);
+    }
+  }
+  rateCounters.set(memoryKey, { count, expireAt: Date.now() + RATE_MINUTE_TTL_SECONDS * 1000 });
+  return count;
+}
+
+function incrementRateCounter(key, amount, ttlSeconds, env, ctx) {
+  const now = Date.now();
+  for (const [counterKey, cached] of rateCounters.entries()) {
+    if (cached.expireAt <= now) {
+      rateCounters.delete(counterKey);
+    }
+  }
+
+  const memoryKey = scopeCacheKey(key, env);
+  const cached = rateCounters.get(memoryKey);
+  const count = (cached?.count || 0) + amount;
+  rateCounters.set(memoryKey, { count, expireAt: now + Math.min(ttlSeconds, RATE_MINUTE_TTL_SECONDS) * 1000 });
+
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (!kvNamespace) return;
+
+  const writePromise = kvNamespace.put(`rate:${key}`, String(count), { expirationTtl: ttlSeconds })
+    .catch(err => console.error("KV 写入计数失败:", err));
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(writePromise);
+  }
+}
+
+// 以北京时间（UTC+8）划分自然日
+function getBeijingDate(timestamp = Date.now()) {
+  return getBeijingTime(timestamp).date;
+}
+
+function getPositiveInt(value) {
+  const parsed = Number.parseInt(value || "", 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+}
+
+// -------- 用户命令与设置 --------
+
+// 以 / 开头的命令；未启用的命令不拦截，按普通消息交给 AI。返回 null 表示不是命令
+async function handleUserCommand(message, userId, env) {
+  const match = (message || "").trim().match(/^\/([a-zA-Z]+)(?:\s+([\s\S]*))?$/);
+  if (!match) {
+    return null;
+  }
+  const command = match[1].toLowerCase();
+  const arg = (match[2] || "").trim();
+  if (!getEnabledUserCommands(env).includes(command)) {
+    return null;
+  }
+
+  switch (command) {
+    case "help":
+      return buildHelpReply(env);
+    case "persona":
+      return handlePersonaCommand(arg, userId, env);
+    case "model":
+      return handleModelCommand(arg, userId, env);
+    case "lang":
+      return handleLangCommand(arg, userId, env);
+    case "settings":
+      return handleSettingsCommand(arg, userId, env);
+    case "push":
+      return handlePushCommand(arg, userId, env);
+    default:
+      return null;
+  }
+}
+
+// ENABLED_COMMANDS 限定可用的命令，逗号分隔，默认全部启用，none 表示全部关闭；/push 仅在配置了每日推送时可用
+function getEnabledUserCommands(env) {
+  const configured = (env.ENABLED_COMMANDS || "").split(",").map(item => item.trim().replace(/^\//, "").toLowerCase()).filter(Boolean);
+  const available = isDailyPushConfigured(env) ? USER_COMMANDS : USER_COMMANDS.filter(command => command !== "push");
+  if (configured.length === 0) {
+    return available;
+  }
+  return available.filter(command => configured.includes(command));
+}
+
+function buildHelpReply(env) {
+  const descriptions = {
+    help: "/help 查看帮助",
+    persona: "/persona [角色名] 查看或切换角色",
+    model: "/model [模型名] 查看或切换模型",
+    settings: "/settings 查看当前设置，/settings reset 恢复默认",
+    lang: "/lang [语言] 设置回复语言，如 /lang en",
+    push: "/push on 订阅每日推送，/push off 取消"
+  };
+  const lines = getEnabledUserCommands(env).map(command => descriptions[command]);
+  const clearCommand = getCommands(env.CLEAR_HISTORY_COMMANDS, DEFAULT_CLEAR_HISTORY_COMMANDS)[0];
+  lines.push(`发送「${clearCommand}」清空上下文`);
+  if (isTranscriptEnabled(env)) {
+    lines.push(`发送「${getCommands(env.EXPORT_COMMANDS, DEFAULT_EXPORT_COMMANDS)[0]}」导出对话记录`);
+  }
+  return `可用命令：\n${lines.join("\n")}`;
+}
+
+async function handlePersonaCommand(arg, userId, env) {
+  const personas = await getPersonas(env);
+  const names = Object.keys(personas);
+  if (names.length === 0) {
+    return "当前没有可选的角色。";
+  }
+
+  const settings = await getUserSettings(userId, env);
+  const list = names
+    .map(name => `• ${name}${personas[name].description ? `：${personas[name].description}` : ""}${settings.persona === name ? "（当前）" : ""}`)
+    .join("\n");
+  if (!arg) {
+    return `可选角色：\n${list}\n\n发送「/persona 角色名」切换，「/persona default」恢复默认。`;
+  }
+  if (arg === "default") {
+    await saveUserSettings(userId, { ...settings, persona: undefined }, env);
+    return "已恢复默认角色。";
+  }
+  if (!personas[arg]) {
+    return `没有名为「${arg}」的角色。可选角色：\n${list}`;
+  }
+  await saveUserSettings(userId, { ...settings, persona: arg }, env);
+  return `已切换为「${arg}」。`;
+}
+
+async function handleModelCommand(arg, userId, env) {
+  const models = getModelAllowlist(env);
+  if (models.length === 0) {
+    return "当前未开放模型切换。";
+  }
+
+  const settings = await getUserSettings(userId, env);
+  const list = models.map(item => `• ${item.model}${settings.model === item.id ? "（当前）" : ""}`).join("\n");
+  if (!arg) {
+    return `可选模型：\n${list}\n\n发送「/model 模型名」切换，「/model default」恢复默认。`;
+  }
+  if (arg === "default") {
+    await saveUserSettings(userId, { ...settings, model: undefined }, env);
+    return "已恢复默认模型。";
+  }
+  const selected = models.find(item => item.id === arg || item.model === arg);
+  if (!selected) {
+    return `「${arg}」不在可选模型中。可选模型：\n${list}`;
+  }
+  await saveUserSettings(userId, { ...settings, model: selected.id }, env);
+  return `已切换为 ${selected.model}。`;
+}
+
+async function handleLangCommand(arg, userId, env) {
+  const settings = await getUserSettings(userId, env);
+  const list = Object.entries(LANGUAGE_NAMES).map(([code, name]) => `${code}（${name}）`).join("、");
+  const code = arg.toLowerCase();
+  if (!code) {
+    return `可选语言：${list}\n发送「/lang 代码」设置回复语言，「/lang auto」恢复默认。`;
+  }
+  if (code === "auto") {
+    await saveUserSettings(userId, { ...settings, lang: undefined }, env);
+    return "已恢复默认回复语言。";
+  }
+  if (!LANGUAGE_NAMES[code]) {
+    return `不支持的语言「${arg}」。可选语言：${list}`;
+  }
+  await saveUserSettings(userId, { ...settings, lang: code }, env);
+  return `回复语言已设置为${LANGUAGE_NAMES[code]}。`;
+}
+
+async function handleSettingsCommand(arg, userId, env) {
+  if (arg.toLowerCase() === "reset") {
+    await saveUserSettings(userId, {}, env);
+    return "已恢复默认设置。";
+  }
+
+  const settings = await getUserSettings(userId, env);
+  const model = getModelAllowlist(env).find(item => item.id === settings.model);
+  const lines = [
+    "当前设置：",
+    `角色：${settings.persona || "默认"}`,
+    `模型：${model?.model || "默认"}`,
+    `回复语言：${LANGUAGE_NAMES[settings.lang] || "默认"}`
+  ];
+  if (getEnabledUserCommands(env).includes("push")) {
+    lines.push(`每日推送：${await getPushSubscription(userId, env) ? "已订阅" : "未订阅"}`);
+  }
+  return lines.join("\n");
+}
+
+// 订阅记录保存在 KV 的 push:<openid>：{ subscribedAt, lastPushedDate }
+async function handlePushCommand(arg, userId, env) {
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (!kvNamespace) {
+    return "当前未开放每日推送。";
+  }
+
+  const action = arg.toLowerCase();
+  if (action === "on") {
+    if (!await getPushSubscription(userId, env)) {
+      await kvNamespace.put(`push:${userId}`, JSON.stringify({ subscribedAt: new Date().toISOString() }));
+    }
+    return "已订阅每日推送。48 小时内没有互动时微信不允许主动推送，期间的推送会跳过。";
+  }
+  if (action === "off") {
+    await kvNamespace.delete(`push:${userId}`);
+    return "已取消每日推送。";
+  }
+  const subscribed = await getPushSubscription(userId, env);
+  return `每日推送：${subscribed ? "已订阅" : "未订阅"}\n发送「/push on」订阅，「/push off」取消。`;
+}
+
+async function getPushSubscription(userId, env) {
+  try {
+    const kvData = await env.AI_CHAT_HISTORY?.get(`push:${userId}`);
+    return kvData ? JSON.parse(kvData) : null;
+  } catch (error) {
+    console.warn("KV 读取推送订阅失败:", error);
+    return null;
+  }
+}
+
+// 人设来自 KV 的 config:personas 或 PERSONAS：{ "名称": { "prompt": "...", "temperature": 0.7, "description": "..." } }
+async function getPersonas(env) {
+  const personas = await getJSONConfig("personas", env.PERSONAS, env);
+  if (!personas || typeof personas !== "object" || Array.isArray(personas)) {
+    return {};
+  }
+  return Object.fromEntries(Object.entries(personas).filter(([, persona]) => persona?.prompt));
+}
+
+// MODEL_ALLOWLIST：逗号分隔，provider:model 指定提供方，省略时属于降级链中的第一个提供方
+function getModelAllowlist(env) {
+  return (env.MODEL_ALLOWLIST || "")
+    .split(",")
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(id => {
+      const separator = id.indexOf(":");
+      const prefix = separator > 0 ? id.slice(0, separator).toLowerCase() : "";
+      return AI_PROVIDERS.includes(prefix)
+        ? { id, provider: prefix, model: id.slice(separator + 1) }
+        : { id, provider: resolveAIProviders(env)[0], model: id };
+    });
+}
+
+// 用户设置 → chatWithProviders 的 options：{ persona, model, language }，已被管理员移除的选项会被忽略
+async function resolveUserPreferences(settings, env) {
+  const personas = settings.persona ? await getPersonas(env) : {};
+  return {
+    persona: personas[settings.persona] || null,
+    model: getModelAllowlist(env).find(item => item.id === settings.model) || null,
+    language: LANGUAGE_NAMES[settings.lang] || null
+  };
+}
+
+// 把用户选择的模型和人设温度覆盖到对应提供方的环境变量上
+function applyUserPreferences(provider, env, options) {
+  const keys = PROVIDER_ENV_KEYS[provider];
+  const overrides = {};
+  if (options.model?.provider === provider) {
+    overrides[keys.model] = options.model.model;
+  }
+  if (typeof options.persona?.temperature === "number") {
+    overrides[keys.temperature] = String(options.persona.temperature);
+  }
+  return Object.keys(overrides).length > 0 ? { ...env, ...overrides } : env;
+}
+
+async function getUserSettings(userId, env) {
+  const cacheKey = scopeCacheKey(userId, env);
+  const cached = userSettingsCache.get(cacheKey);
+  if (cached && cached.expireAt > Date.now()) {
+    return cached.value;
+  }
+
+  let settings = {};
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (kvNamespace) {
+    try {
+      const kvData = await kvNamespace.get(`settings:${userId}`);
+      settings = kvData ? JSON.parse(kvData) : {};
+    } catch (error) {
+      console.warn("KV 读取用户设置失败:", error);
+    }
+  }
+  userSettingsCache.set(cacheKey, { value: settings, expireAt: Date.now() + CONFIG_CACHE_TTL });
+  return settings;
+}
+
+// 值为 undefined 的字段会被 JSON 序列化丢弃；全部为空时删除 KV 记录
+async function saveUserSettings(userId, settings, env) {
+  const value = JSON.parse(JSON.stringify(settings));
+  userSettingsCache.set(scopeCacheKey(userId, env), { value, expireAt: Date.now() + CONFIG_CACHE_TTL });
+
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (!kvNamespace) return;
+  if (Object.keys(value).length === 0) {
+    await kvNamespace.delete(`settings:${userId}`);
+  } else {
+    await kvNamespace.put(`settings:${userId}`, JSON.stringify(value));
+  }
+}
+
+// -------- 自动回复规则 --------
+
+// 规则来自 KV 中 config:auto_reply_rules 或 AUTO_REPLY_RULES（JSON 数组），按 priority 从高到低匹配：
+// { type: "exact" | "contains" | "regex", pattern, flags?, reply, priority?, enabled?,
+//   timeWindow?: { start: "09:00", end: "18:00", weekdays: [1, 2, 3, 4, 5] } }
+// 未命中返回 null
+async function matchAutoReplyRule(message, userId, env) {
+  const rules = await getJSONConfig("auto_reply_rules", env.AUTO_REPLY_RULES, env);
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return null;
+  }
+
+  const text = (message || "").trim();
+  const now = getBeijingTime();
+  const sortedRules = rules
+    .filter(rule => rule && rule.enabled !== false && rule.pattern && typeof rule.reply === "string")
+    .sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0));
+
+  for (const rule of sortedRules) {
+    if (!isWithinTimeWindow(rule.timeWindow, now)) {
+      continue;
+    }
+    const match = matchRule(rule, text);
+    if (match) {
+      return renderRuleReply(rule.reply, { message: text, openid: userId, now, match });
+    }
+  }
+  return null;
+}
+
+// 命中时返回匹配结果数组（正则捕获组从下标 1 开始），否则返回 null
+function matchRule(rule, text) {
+  switch (rule.type) {
+    case "exact":
+      return text === rule.pattern ? [text] : null;
+    case "contains":
+      return text.includes(rule.pattern) ? [rule.pattern] : null;
+    case "regex":
+      try {
+        return text.match(new RegExp(rule.pattern, rule.flags || ""));
+      } catch (error) {
+        console.warn(`无效的自动回复正则: ${rule.pattern}`);
+        return null;
+      }
+    default:
+      return null;
+  }
+}
+
+// 时间窗口按北京时间判断，end 早于 start 时视为跨午夜；weekdays 中 1-7 对应周一到周日
+function isWithinTimeWindow(timeWindow, now) {
+  if (!timeWindow) return true;
+
+  if (Array.isArray(timeWindow.weekdays) && !timeWindow.weekdays.map(Number).includes(now.weekday)) {
+    return false;
+  }
+  if (!timeWindow.start || !timeWindow.end) {
+    return true;
+  }
+  const current = now.time;
+  return timeWindow.start <= timeWindow.end
+    ? current >= timeWindow.start && current < timeWindow.end
+    : current >= timeWindow.start || current < timeWindow.end;
+}
+
+// 模板变量：{message} {openid} {date} {time} {weekday}，正则捕获组用 {1} {2} …
+function renderRuleReply(template, { message, openid, now, match }) {
+  const variables = {
+    message,
+    openid,
+    date: now.date,
+    time: now.time,
+    weekday: WEEKDAY_NAMES[now.weekday - 1]
+  };
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (/^\d+$/.test(name)) {
+      return match[Number(name)] ?? "";
+    }
+    return name in variables ? variables[name] : placeholder;
+  });
+}
+
+// 北京时间：{ date: "2024-01-01", time: "09:30", weekday: 1-7 }
+function getBeijingTime(timestamp = Date.now()) {
+  const beijing = new Date(timestamp + 8 * 60 * 60 * 1000);
+  const iso = beijing.toISOString();
+  return {
+    date: iso.slice(0, 10),
+    time: iso.slice(11, 16),
+    weekday: beijing.getUTCDay() || 7
+  };
+}
+
+// -------- 知识库检索 --------
+
+// 文档切块后向量化：绑定 Vectorize（KB_INDEX）时存入 Vectorize，否则存入 KV（kb:doc:<id>）并在内存中做余弦检索。
+// 文档清单统一保存在 KV 的 kb:index 中
+async function ingestKnowledgeDocument(doc, env) {
+  const id = String(doc.id || crypto.randomUUID());
+  const title = doc.title || id;
+  const chunks = splitReplyPages(doc.text, getPositiveInt(env.KB_CHUNK_BYTES) || DEFAULT_KB_CHUNK_BYTES);
+  const vectors = await embedTexts(chunks, env);
+
+  // 重新导入同一文档前先清理旧分块，避免 Vectorize 中残留多余分块
+  await deleteKnowledgeDocument(id, env);
+
+  if (env.KB_INDEX) {
+    await env.KB_INDEX.upsert(chunks.map((text, index) => ({
+      id: getKnowledgeVectorId(id, index, env),
+      values: vectors[index],
+      metadata: { docId: id, title, url: doc.url || "", text, account: env.ACCOUNT_ID || "" },
+      ...getKnowledgeNamespace(env)
+    })));
+  } else {
+    await env.AI_CHAT_HISTORY.put(`kb:doc:${id}`, JSON.stringify({
+      id,
+      title,
+      url: doc.url || "",
+      chunks: chunks.map((text, index) => ({ text, vector: vectors[index] }))
+    }));
+  }
+
+  const index = (await getKnowledgeIndex(env)).filter(item => item.id !== id);
+  index.push({ id, title, url: doc.url || "", chunkCount: chunks.length, updatedAt: new Date().toISOString() });
+  await env.AI_CHAT_HISTORY.put("kb:index", JSON.stringify(index));
+  knowledgeCache.clear();
+  return index[index.length - 1];
+}
+
+async function deleteKnowledgeDocument(id, env) {
+  const index = await getKnowledgeIndex(env);
+  const existing = index.find(item => item.id === id);
+  if (!existing) return false;
+
+  if (env.KB_INDEX) {
+    const ids = Array.from({ length: existing.chunkCount }, (_, i) => getKnowledgeVectorId(id, i, env));
+    if (ids.length > 0) {
+      await env.KB_INDEX.deleteByIds(ids);
+    }
+  } else {
+    await env.AI_CHAT_HISTORY.delete(`kb:doc:${id}`);
+  }
+  await env.AI_CHAT_HISTORY.put("kb:index", JSON.stringify(index.filter(item => item.id !== id)));
+  knowledgeCache.clear();
+  return true;
+}
+
+// Vectorize 索引由所有公众号共用：多公众号时向量 id 加上账号前缀并写入以账号 ID 命名的 namespace，
+// 检索时只查本账号的 namespace，并按元数据中的 account 再核对一次（未区分账号的请求不会命中各账号的向量）
+function getKnowledgeVectorId(docId, index, env) {
+  return env.ACCOUNT_ID ? `${env.ACCOUNT_ID}:${docId}#${index}` : `${docId}#${index}`;
+}
+
+function getKnowledgeNamespace(env) {
+  return env.ACCOUNT_ID ? { namespace: env.ACCOUNT_ID } : {};
+}
+
+async function getKnowledgeIndex(env) {
+  const kvData = await env.AI_CHAT_HISTORY.get("kb:index");
+  const index = kvData ? JSON.parse(kvData) : [];
+  return Array.isArray(index) ? index : [];
+}
+
+// 返回与问题最相关的 top-k 段落：[{ title, url, text, score }]；未启用或出错时返回空数组
+async function retrieveKnowledge(input, env) {
+  if (!isKnowledgeEnabled(env) || input.imageUrl || !input.text) {
+    return [];
+  }
+
+  try {
+    return await searchKnowledge(input.text, env);
+  } catch (error) {
+    console.error("知识库检索失败:", error);
+    return [];
+  }
+}
+
+async function searchKnowledge(query, env) {
+  const topK = getPositiveInt(env.KB_TOP_K) || DEFAULT_KB_TOP_K;
+  const minScore = getOptionalNumber(env.KB_MIN_SCORE) ?? DEFAULT_KB_MIN_SCORE;
+  const [queryVector] = await embedTexts([query], env);
+
+  let matches;
+  if (env.KB_INDEX) {
+    const result = await env.KB_INDEX.query(queryVector, { topK, returnMetadata: "all", ...getKnowledgeNamespace(env) });
+    matches = (result.matches || []).filter(match => (match.metadata?.account || "") === (env.ACCOUNT_ID || "")).map(match => ({
+      title: match.metadata?.title || "",
+      url: match.metadata?.url || "",
+      text: match.metadata?.text || "",
+      score: match.score
+    }));
+  } else {
+    const chunks = await loadKnowledgeChunks(env);
+    matches = chunks
+      .map(chunk => ({ title: chunk.title, url: chunk.url, text: chunk.text, score: cosineSimilarity(queryVector, chunk.vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+  return matches.filter(match => match.score >= minScore);
+}
+
+// KV 模式下把全部分块缓存在内存中 1 分钟，适合中小规模的文档库
+async function loadKnowledgeChunks(env) {
+  const cached = knowledgeCache.get(scopeCacheKey("chunks", env));
+  if (cached && cached.expireAt > Date.now()) {
+    return cached.value;
+  }
+
+  const index = await getKnowledgeIndex(env);
+  const docs = await Promise.all(index.map(item => env.AI_CHAT_HISTORY.get(`kb:doc:${item.id}`)));
+  const chunks = docs.filter(Boolean).flatMap(kvData => {
+    const doc = JSON.parse(kvData);
+    return doc.chunks.map(chunk => ({ title: doc.title, url: doc.url, text: chunk.text, vector: chunk.vector }));
+  });
+  knowledgeCache.set(scopeCacheKey("chunks", env), { value: chunks, expireAt: Date.now() + CONFIG_CACHE_TTL });
+  return chunks;
+}
+
+// KB_EMBEDDING_PROVIDER：workers-ai（默认）或 openai（OpenAI 兼容 /embeddings 接口）
+async function embedTexts(texts, env) {
+  const provider = (env.KB_EMBEDDING_PROVIDER || "workers-ai").trim().toLowerCase();
+
+  if (provider === "openai") {
+    const baseUrl = env.KB_EMBEDDING_BASE_URL || env.OPENAI_BASE_URL || "https://api.openai.com/v1";
+    const response = await fetch(`${baseUrl}/embeddings`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${env.KB_EMBEDDING_API_KEY || env.OPENAI_API_KEY}`
+      },
+      body: JSON.stringify({ model: env.KB_EMBEDDING_MODEL || DEFAULT_OPENAI_EMBEDDING_MODEL, input: texts })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(`Embedding Error ${response.status}: ${data.error?.message || "未知错误"}`);
+    return [...data.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+
+  if (!env.AI || typeof env.AI.run !== "function") {
+    throw new Error("Workers AI 未绑定，无法生成向量");
+  }
+  const result = await env.AI.run(env.KB_EMBEDDING_MODEL || DEFAULT_CF_EMBEDDING_MODEL, { text: texts });
+  if (!Array.isArray(result?.data) || result.data.length !== texts.length) {
+    throw new Error("Workers AI 向量结果无效");
+  }
+  return result.data;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// KB_CITE_SOURCES=true 时在回复末尾列出引用的文档
+function appendKnowledgeSources(reply, knowledge, env) {
+  if (!knowledge?.length || (env.KB_CITE_SOURCES || "").trim().toLowerCase() !== "true") {
+    return reply;
+  }
+
+  const seen = new Set();
+  const sources = [];
+  for (const item of knowledge) {
+    const key = item.url || item.title;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    sources.push(`[${sources.length + 1}] ${item.url ? formatLink(item.url, item.title) : item.title}`);
+  }
+  return `${reply}\n\n参考来源：\n${sources.join("\n")}`;
+}
+
+function isKnowledgeEnabled(env) {
+  return (env.KB_ENABLED || "").trim().toLowerCase() === "true" && Boolean(env.AI_CHAT_HISTORY || env.KB_INDEX);
+}
+
+async function handleKnowledgeAdmin(request, segments, searchParams, env) {
+  const method = request.method;
+
+  if (segments[0] === "documents" && segments.length === 1) {
+    if (method === "GET") {
+      return jsonResponse({ documents: await getKnowledgeIndex(env) });
+    }
+    if (method === "POST") {
+      const body = await readJSONBody(request);
+      if (!body || typeof body.text !== "string" || !body.text.trim()) {
+        return jsonResponse({ error: "text 不能为空" }, 400);
+      }
+      return jsonResponse({ document: await ingestKnowledgeDocument(body, env) }, 201);
+    }
+  }
+
+  if (segments[0] === "documents" && segments.length === 2 && method === "DELETE") {
+    const deleted = await deleteKnowledgeDocument(segments[1], env);
+    return deleted ? jsonResponse({ id: segments[1], deleted: true }) : jsonResponse({ error: "Not Found" }, 404);
+  }
+
+  if (segments[0] === "search" && segments.length === 1 && method === "GET") {
+    const query = searchParams.get("q");
+    if (!query) {
+      return jsonResponse({ error: "缺少参数 q" }, 400);
+    }
+    return jsonResponse({ query, matches: await searchKnowledge(query, env) });
+  }
+
+  return null;
+}
+
+// -------- 内容审核 --------
+
+// 先匹配关键词/正则黑名单，再按 MODERATION_PROVIDER 调用审核接口；接口异常或 signal 超时时放行并记录日志
+async function moderateContent(text, stage, env, signal) {
+  if (!text) {
+    return { blocked: false };
+  }
+
+  const blocklist = await getModerationBlocklist(env);
+  const matched = blocklist.find(rule => rule.test(text));
+  if (matched) {
+    return { blocked: true, source: "blocklist", reason: matched.source };
+  }
+
+  const provider = (env.MODERATION_PROVIDER || "").trim().toLowerCase();
+  try {
+    if (provider === "openai") {
+      return await moderateWithOpenAI(text, env, signal);
+    }
+    if (provider === "workers-ai") {
+      return await moderateWithCloudflareAI(text, stage, env, signal);
+    }
+  } catch (error) {
+    console.error(`内容审核接口调用失败 (${provider}):`, error);
+  }
+  return { blocked: false };
+}
+
+// 黑名单来自 MODERATION_BLOCKLIST（逗号或换行分隔）与 KV 中 config:moderation_blocklist（JSON 数组）
+// 形如 /pattern/flags 的条目按正则处理（忽略会让 test 带状态的 g、y 标志），其余按不区分大小写的包含匹配
+async function getModerationBlocklist(env) {
+  const kvEntries = await getJSONConfig("moderation_blocklist", null, env);
+  const entries = [
+    ...(env.MODERATION_BLOCKLIST || "").split(/[,\n]/),
+    ...(Array.isArray(kvEntries) ? kvEntries : [])
+  ].map(item => String(item).trim()).filter(Boolean);
+
+  return entries.map(entry => {
+    const regexMatch = entry.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+      try {
+        const regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ""));
+        return { source: entry, test: text => regex.test(text) };
+      } catch (error) {
+        console.warn(`无效的审核正则: ${entry}`);
+      }
+    }
+    const keyword = entry.toLowerCase();
+    return { source: entry, test: text => text.toLowerCase().includes(keyword) };
+  });
+}
+
+async function moderateWithOpenAI(text, env, signal) {
+  const baseUrl = env.MODERATION_BASE_URL || env.OPENAI_BASE_URL || "https://api.openai.com/v1";
+  const response = await fetch(`${baseUrl}/moderations`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${env.MODERATION_API_KEY || env.OPENAI_API_KEY}`
+    },
+    body: JSON.stringify({ model: env.MODERATION_MODEL || DEFAULT_MODERATION_MODEL, input: text }),
+    signal
+  });
+
+  const data = await response.json();
+  if (!response.ok) throw new Error(`Moderation Error ${response.status}: ${data.error?.message || "未知错误"}`);
+
+  const result = data.results?.[0];
+  if (!result?.flagged) {
+    return { blocked: false };
+  }
+  const categories = Object.keys(result.categories || {}).filter(key => result.categories[key]);
+  return { blocked: true, source: "openai", reason: categories.join(",") };
+}
+
+// Llama Guard 按对话角色判断：输入审核 user 消息，输出审核 assistant 消息
+async function moderateWithCloudflareAI(text, stage, env, signal) {
+  if (!env.AI || typeof env.AI.run !== "function") {
+    throw new Error("Workers AI 未绑定");
+  }
+
+  const messages = stage === "output"
+    ? [{ role: "user", content: "" }, { role: "assistant", content: text }]
+    : [{ role: "user", content: text }];
+  const result = await raceWithSignal(env.AI.run(env.CF_MODERATION_MODEL || DEFAULT_CF_MODERATION_MODEL, { messages }), signal);
+
+  const verdict = result?.response ?? result;
+  if (typeof verdict === "object" && verdict !== null) {
+    return verdict.safe === false
+      ? { blocked: true, source: "workers-ai", reason: (verdict.categories || []).join(",") }
+      : { blocked: false };
+  }
+
+  const [label, categories = ""] = String(verdict || "").trim().split("\n");
+  return label.trim().toLowerCase() === "unsafe"
+    ? { blocked: true, source: "workers-ai", reason: categories.trim() }
+    : { blocked: false };
+}
+
+// 审计日志：输出到控制台，配置 KV 时另存 audit:<时间>:<openid>，默认保留 30 天
+function auditModeration(userId, stage, text, verdict, env, ctx) {
+  const record = {
+    userId,
+    stage,
+    source: verdict.source,
+    reason: verdict.reason,
+    text: text.slice(0, 500),
+    time: new Date().toISOString()
+  };
+  console.warn("Moderation blocked:", JSON.stringify(record));
+
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (!kvNamespace) return;
+
+  const ttl = getPositiveInt(env.MODERATION_AUDIT_TTL_SECONDS) || DEFAULT_AUDIT_TTL_SECONDS;
+  const writePromise = kvNamespace.put(`audit:${record.time}:${userId}`, JSON.stringify(record), {
+    expirationTtl: Math.max(ttl, 60)
+  }).catch(err => console.error("KV 写入审计日志失败:", err));
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(writePromise);
+  }
+}
+
+// -------- Markdown 转微信纯文本 --------
+
+// 按 MARKDOWN_TRANSFORMS（逗号分隔）启用转换，默认全部启用，设为 none 时原样返回
+function renderWechatText(text, env) {
+  const transforms = getMarkdownTransforms(env);
+  if (transforms.length === 0 || !text) {
+    return text;
+  }
+
+  // 先把代码抽出为占位符，避免代码内容被其他规则改写
+  const codeBlocks = [];
+  let result = text.replace(/```[^\n]*\n([\s\S]*?)(?:```|$)/g, (match, code) => {
+    if (!transforms.includes("code")) return match;
+    codeBlocks.push(code.replace(/\n+$/, ""));
+    return `\u0000CODE${codeBlocks.length - 1}\u0000`;
+  });
+  if (transforms.includes("code")) {
+    result = result.replace(/`([^`\n]+)`/g, "$1");
+  }
+
+  for (const name of MARKDOWN_TRANSFORM_ORDER) {
+    if (transforms.includes(name) && name !== "code") {
+      result = MARKDOWN_TRANSFORMERS[name](result);
+    }
+  }
+
+  result = result.replace(/\u0000CODE(\d+)\u0000/g, (match, index) => codeBlocks[Number(index)]);
+  return result.replace(/\n{3,}/g, "\n\n").trim();
+}
+
+const MARKDOWN_TRANSFORM_ORDER = ["tables", "headings", "lists", "links", "bold", "code"];
+
+const MARKDOWN_TRANSFORMERS = {
+  // 表格逐行展开为「表头：值」，手机上比对齐的竖线更易读
+  tables(text) {
+    return text.replace(/(?:^\|?.*\|.*\n\|?[ \t]*:?-{2,}:?[ \t]*(?:\|[ \t]*:?-{2,}:?[ \t]*)*\|?[ \t]*(?:\n|$))(?:^\|?.*\|.*(?:\n|$))*/gm, table => {
+      const rows = table.trim().split("\n").map(splitTableRow);
+      const [headers, , ...bodyRows] = rows;
+      return bodyRows
+        .map(cells => cells.map((cell, index) => (headers[index] ? `${headers[index]}：${cell}` : cell)).join("，"))
+        .join("\n") + "\n";
+    });
+  },
+
+  headings(text) {
+    return text.replace(/^#{1,6}[ \t]+(.+?)[ \t]*#*[ \t]*$/gm, "【$1】");
+  },
+
+  lists(text) {
+    // 分隔线（--- / * * *）先行移除，避免被当作列表项
+    return text
+      .replace(/^[ \t]*(?:[-*_][ \t]*){3,}$/gm, "")
+      .replace(/^([ \t]*)[-*+][ \t]+\[( |x|X)\][ \t]+/gm, (match, indent, checked) => `${indent}${checked === " " ? "☐" : "☑"} `)
+      .replace(/^([ \t]*)[-*+][ \t]+/gm, "$1• ")
+      .replace(/^([ \t]*)(\d+)[.)][ \t]+/gm, "$1$2. ");
+  },
+
+  // 微信文本消息支持 <a href> 超链接
+  links(text) {
+    return text
+      .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, alt, url) => formatLink(url, alt ? `[图片] ${alt}` : "[图片]"))
+      .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, label, url) => formatLink(url, label));
+  },
+
+  bold(text) {
+    return text
+      .replace(/\*\*(.+?)\*\*/g, "$1")
+      .replace(/__(.+?)__/g, "$1")
+      .replace(/~~(.+?)~~/g, "$1")
+      .replace(/(^|[^*\w])\*(?!\s)([^*\n]+?)\*(?!\w)/g, "$1$2");
+  }
+};
+
+function formatLink(url, label) {
+  return `<a href="${url.replace(/"/g, "%22")}">${label}</a>`;
+}
+
+function splitTableRow(row) {
+  return row.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map(cell => cell.trim());
+}
+
+function getMarkdownTransforms(env) {
+  const configured = (env.MARKDOWN_TRANSFORMS || "").trim().toLowerCase();
+  if (!configured) {
+    return MARKDOWN_TRANSFORM_ORDER;
+  }
+  if (configured === "none") {
+    return [];
+  }
+  return configured.split(",").map(item => item.trim()).filter(item => MARKDOWN_TRANSFORM_ORDER.includes(item));
+}
+
+// -------- 工具调用 --------
+
+// 内置工具，无需外部服务；AI_TOOLS 按名称启用（逗号分隔），all 表示全部启用
+const LOCAL_TOOLS = {
+  calculator: {
+    description: "计算数学表达式，支持 + - * / % ^ 和括号",
+    parameters: {
+      type: "object",
+      properties: { expression: { type: "string", description: "数学表达式，如 (1+2)*3^2" } },
+      required: ["expression"]
+    },
+    run: args => ({ expression: args.expression, result: evaluateExpression(String(args.expression || "")) })
+  },
+  get_current_time: {
+    description: "获取当前北京时间（日期、时间、星期）",
+    parameters: { type: "object", properties: {} },
+    run: () => {
+      const { date, time, weekday } = getBeijingTime();
+      return { timezone: "Asia/Shanghai", date, time, weekday: WEEKDAY_NAMES[weekday - 1] };
+    }
+  },
+  convert_unit: {
+    description: "单位换算，支持长度、质量、体积、温度，如 km→mi、斤→kg、°F→°C",
+    parameters: {
+      type: "object",
+      properties: {
+        value: { type: "number", description: "数值" },
+        from: { type: "string", description: "原单位，如 km、mi、斤、kg、lb、L、°C" },
+        to: { type: "string", description: "目标单位" }
+      },
+      required: ["value", "from", "to"]
+    },
+    run: args => ({ ...args, result: convertUnit(Number(args.value), args.from, args.to) })
+  },
+  get_user_quota: {
+    description: "查询当前用户的设置（角色、模型、回复语言）以及今天的提问次数、token 用量和额度",
+    parameters: { type: "object", properties: {} },
+    run: (args, context) => getUserQuota(context.userId, context.env)
+  }
+};
+
+// 换算到基准单位（米、千克、升）的系数
+const UNIT_FACTORS = {
+  length: { m: 1, 米: 1, km: 1000, 公里: 1000, 千米: 1000, cm: 0.01, 厘米: 0.01, mm: 0.001, 毫米: 0.001, 里: 500, mi: 1609.344, 英里: 1609.344, ft: 0.3048, 英尺: 0.3048, in: 0.0254, 英寸: 0.0254, yd: 0.9144, 码: 0.9144 },
+  mass: { kg: 1, 千克: 1, 公斤: 1, g: 0.001, 克: 0.001, 斤: 0.5, 两: 0.05, t: 1000, 吨: 1000, lb: 0.45359237, 磅: 0.45359237, oz: 0.028349523125, 盎司: 0.028349523125 },
+  volume: { l: 1, 升: 1, ml: 0.001, 毫升: 0.001, gal: 3.785411784, 加仑: 3.785411784, floz: 0.0295735295625 }
+};
+const TEMPERATURE_UNITS = { c: "c", "°c": "c", 摄氏度: "c", f: "f", "°f": "f", 华氏度: "f", k: "k", 开尔文: "k" };
+const MAX_TOOL_ROUNDS = 3;
+const CALCULATOR_MAX_LENGTH = 200; // 限制表达式长度，避免括号嵌套过深导致递归解析栈溢出
+const HTTP_TOOL_RESULT_MAX_CHARS = 2000;
+
+// 返回本次可用的工具：[{ name, description, parameters, run }]；图片消息不使用工具
+async function getEnabledTools(input, env) {
+  if (input.imageUrl) {
+    return [];
+  }
+
+  const enabled = (env.AI_TOOLS || "").split(",").map(item => item.trim()).filter(Boolean);
+  const tools = Object.entries(LOCAL_TOOLS)
+    .filter(([name]) => enabled.includes("all") || enabled.includes(name))
+    .map(([name, tool]) => ({ name, ...tool }));
+
+  const httpTools = await getJSONConfig("http_tools", env.HTTP_TOOLS, env);
+  if (Array.isArray(httpTools)) {
+    for (const tool of httpTools) {
+      if (!tool?.name || !tool.url) continue;
+      tools.push({
+        name: tool.name,
+        description: tool.description || "",
+        parameters: tool.parameters || { type: "object", properties: {} },
+        run: (args, context) => callHTTPTool(tool, args, context.signal)
+      });
+    }
+  }
+  return tools;
+}
+
+// 执行一次工具调用，结果以 JSON 字符串交回模型；出错时把错误信息交给模型处理
+async function runTool(tools, name, rawArgs, context) {
+  const tool = tools.find(item => item.name === name);
+  if (!tool) {
+    return JSON.stringify({ error: `未知工具 ${name}` });
+  }
+
+  try {
+    const args = typeof rawArgs === "string" ? JSON.parse(rawArgs || "{}") : (rawArgs || {});
+    const result = await tool.run(args, context);
+    return typeof result === "string" ? result : JSON.stringify(result);
+  } catch (error) {
+    console.warn(`工具 ${name} 调用失败:`, error.message || error);
+    return JSON.stringify({ error: error.message || "工具调用失败" });
+  }
+}
+
+function toOpenAITool(tool) {
+  return { type: "function", function: { name: tool.name, description: tool.description, parameters: tool.parameters } };
+}
+
+// HTTP 工具：GET 把参数放在查询字符串，其他方法以 JSON body 发送
+async function callHTTPTool(tool, args, signal) {
+  const method = (tool.method || "GET").toUpperCase();
+  const url = new URL(tool.url);
+  if (method === "GET") {
+    Object.entries(args).forEach(([key, value]) => url.searchParams.set(key, String(value)));
+  }
+
+  const response = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json", ...(tool.headers || {}) },
+    body: method === "GET" ? undefined : JSON.stringify(args),
+    signal
+  });
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${text.slice(0, 200)}`);
+  }
+  return text.slice(0, HTTP_TOOL_RESULT_MAX_CHARS);
+}
+
+async function getUserQuota(userId, env) {
+  const date = getBeijingDate();
+  const perDay = getPositiveInt(env.RATE_LIMIT_PER_DAY);
+  const tokensPerDay = getPositiveInt(env.TOKEN_LIMIT_PER_DAY);
+  return {
+    date,
+    settings: await getUserSettings(userId, env),
+    vip: isVipUser(userId, env),
+    messagesToday: perDay ? await getRateCounter(`day:${userId}:${date}`, env) : null,
+    messageLimitPerDay: perDay || null,
+    tokensToday: tokensPerDay ? await getRateCounter(`tokens:${userId}:${date}`, env) : null,
+    tokenLimitPerDay: tokensPerDay || null,
+    messageLimitPerMinute: getPositiveInt(env.RATE_LIMIT_PER_MINUTE) || null
+  };
+}
+
+function convertUnit(value, from, to) {
+  if (!Number.isFinite(value)) {
+    throw new Error("value 不是有效数字");
+  }
+  const fromKey = String(from || "").trim().toLowerCase();
+  const toKey = String(to || "").trim().toLowerCase();
+
+  const fromTemp = TEMPERATURE_UNITS[fromKey];
+  const toTemp = TEMPERATURE_UNITS[toKey];
+  if (fromTemp && toTemp) {
+    const celsius = fromTemp === "c" ? value : fromTemp === "f" ? (value - 32) * 5 / 9 : value - 273.15;
+    const result = toTemp === "c" ? celsius : toTemp === "f" ? celsius * 9 / 5 + 32 : celsius + 273.15;
+    return Number(result.toFixed(4));
+  }
+
+  for (const factors of Object.values(UNIT_FACTORS)) {
+    if (fromKey in factors && toKey in factors) {
+      return Number((value * factors[fromKey] / factors[toKey]).toPrecision(10));
+    }
+  }
+  throw new Error(`不支持从 ${from} 换算到 ${to}`);
+}
+
+// 递归下降解析，只接受数字、运算符和括号，不使用 eval
+function evaluateExpression(expression) {
+  if (expression.length > CALCULATOR_MAX_LENGTH) {
+    throw new Error(`表达式过长，最多 ${CALCULATOR_MAX_LENGTH} 个字符`);
+  }
+  const tokens = expression.replace(/[×✕]/g, "*").replace(/÷/g, "/").replace(/\*\*/g, "^")
+    .match(/\d+(?:\.\d+)?|[-+*/%^()]|\S/g) || [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  function parsePrimary() {
+    const token = next();
+    if (token === "(") {
+      const value = parseSum();
+      if (next() !== ")") throw new Error("括号不匹配");
+      return value;
+    }
+    if (token === "-") return -parsePower();
+    if (token === "+") return parsePower();
+    if (token !== undefined && /^\d/.test(token)) return Number(token);
+    throw new Error(`无法识别的符号 ${token ?? "（表达式不完整）"}`);
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    return peek() === "^" ? (next(), base ** parsePower()) : base;
+  }
+
+  function parseProduct() {
+    let value = parsePower();
+    while (["*", "/", "%"].includes(peek())) {
+      const operator = next();
+      const right = parsePower();
+      value = operator === "*" ? value * right : operator === "/" ? value / right : value % right;
+    }
+    return value;
+  }
+
+  function parseSum() {
+    let value = parseProduct();
+    while (["+", "-"].includes(peek())) {
+      value = next() === "+" ? value + parseProduct() : value - parseProduct();
+    }
+    return value;
+  }
+
+  const result = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`无法识别的符号 ${tokens[position]}`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error("计算结果无效（可能除以了 0）");
+  }
+  return Number(result.toPrecision(12));
+}
+
+// 流式输出时工具调用分多段下发，按 index 拼接 id、名称和参数
+function mergeToolCallDeltas(toolCalls, deltas) {
+  for (const delta of deltas || []) {
+    const call = toolCalls[delta.index ?? toolCalls.length] ||= { id: "", type: "function", function: { name: "", arguments: "" } };
+    if (delta.id) call.id = delta.id;
+    if (delta.function?.name) call.function.name += delta.function.name;
+    if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+  }
+}
+
+// -------- 图片生成 --------
+
+// 返回「画 xxx」中的描述，未启用或不是画图命令时返回 null；命令与描述之间需要空格或冒号
+function matchImageCommand(message, env) {
+  if ((env.IMAGE_GENERATION || "").trim().toLowerCase() !== "true") {
+    return null;
+  }
+
+  const trimmedMessage = (message || "").trim();
+  for (const command of getCommands(env.IMAGE_COMMANDS, DEFAULT_IMAGE_COMMANDS)) {
+    if (!trimmedMessage.startsWith(command)) continue;
+    const match = trimmedMessage.slice(command.length).match(/^[\s:：]+([\s\S]+)$/);
+    if (match) {
+      return match[1].trim();
+    }
+  }
+  return null;
+}
+
+// 与文本消息共用 MsgId 去重：本次回复登记为进行中并保存到 answer:<msgId>，
+// 微信重试同一条消息时复用这次的回复，不会重复生成、上传图片
+function handleImageCommand(prompt, userId, msgId, env, ctx, deadline) {
+  const replyPromise = replyWithImage(prompt, userId, env, ctx, deadline).then(reply => {
+    if (msgId) {
+      setCachedValue(`answer:${msgId}`, { msgId, reply }, ANSWER_TTL_SECONDS, env, ctx);
+    }
+    return reply;
+  });
+  if (msgId) {
+    const inflightKey = scopeCacheKey(msgId, env);
+    inflightReplies.set(inflightKey, replyPromise);
+    replyPromise.finally(() => inflightReplies.delete(inflightKey)).catch(() => {});
+  }
+  return replyPromise;
+}
+
+// 在回复时限（deadline，与输入审核共用）内完成则直接回复图片；超时后在后台继续生成，完成后通过客服消息推送
+async function replyWithImage(prompt, userId, env, ctx, deadline) {
+  const task = generateImageReply(prompt, env);
+  try {
+    const reply = await withTimeout(task, Math.max(deadline - Date.now(), 0), null);
+    if (reply !== null) {
+      return reply;
+    }
+  } catch (error) {
+    console.error("图片生成失败:", error);
+    return env.IMAGE_ERROR_REPLY || "图片生成失败，请换个描述再试。";
+  }
+
+  const pushPromise = task
+    .then(reply => sendCustomMessage(userId, reply, env))
+    .catch(error => console.error("图片生成或推送失败:", error));
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(pushPromise);
+  }
+  return env.IMAGE_PENDING_REPLY || "图片正在生成，完成后会发送给你。";
+}
+
+async function generateImageReply(prompt, env) {
+  const { bytes, mimeType } = await generateImage(prompt, env);
+  const extension = mimeType === "image/png" ? "png" : "jpg";
+  const mediaId = await uploadTemporaryMedia("image", bytes, `image.${extension}`, mimeType, env);
+  return { type: "image", mediaId };
+}
+
+// flux 系列返回 { image: base64 }，Stable Diffusion 系列直接返回 PNG 字节流
+async function generateImage(prompt, env) {
+  if (!env.AI || typeof env.AI.run !== "function") {
+    throw new Error("Workers AI 未绑定，无法生成图片");
+  }
+
+  const runOptions = { prompt };
+  const steps = getOptionalNumber(env.IMAGE_STEPS);
+  if (steps !== undefined) {
+    runOptions.steps = steps;
+  }
+
+  const result = await env.AI.run(env.IMAGE_MODEL || DEFAULT_CF_IMAGE_MODEL, runOptions);
+  const bytes = typeof result?.image === "string"
+    ? base64ToBytes(result.image)
+    : new Uint8Array(await new Response(result).arrayBuffer());
+  if (bytes.length === 0) {
+    throw new Error("Workers AI 返回的图片为空");
+  }
+  // PNG 文件头 0x89 'P'，其余按 JPEG 处理
+  const mimeType = bytes[0] === 0x89 && bytes[1] === 0x50 ? "image/png" : "image/jpeg";
+  return { bytes, mimeType };
+}
+
+// -------- 流式输出 --------
+
+// 超时时可先发送的部分回复：截到最后一个完整句子，不足一句时返回空字符串。
+// 配置了审核接口时来不及审核，不发送部分回复；黑名单仍会检查
+async function getStreamingPartial(text, env) {
+  if (!text || !isStreamingEnabled(env) || env.MODERATION_PROVIDER) {
+    return "";
+  }
+
+  const [firstPage] = splitReplyPages(renderWechatText(text, env), getReplyMaxBytes(env) - PAGE_HINT_RESERVED_BYTES);
+  const partial = (firstPage.match(/^[\s\S]*[。！？!?；;\n]/)?.[0] || "").trimEnd();
+  if (!partial) {
+    return "";
+  }
+  const verdict = await moderateContent(partial, "output", env);
+  return verdict.blocked ? "" : partial;
+}
+
+// 完整回复生成后，去掉已发送的部分，剩余内容存为分页并返回；渲染结果对不上时整条回复都放入分页
+function savePartialRemainder(userId, reply, partial, env, ctx) {
+  const remainder = reply.startsWith(partial) ? reply.slice(partial.length).trim() : reply;
+  if (!remainder) {
+    deleteUserState(userId, "pages", env, ctx);
+    return "";
+  }
+  const pages = splitReplyPages(remainder, getReplyMaxBytes(env) - PAGE_HINT_RESERVED_BYTES);
+  setUserState(userId, "pages", pages, PAGE_TTL_SECONDS, env, ctx);
+  return remainder;
+}
+
+function appendStreamingHint(partial, env) {
+  const command = getCommands(env.CONTINUE_COMMANDS, DEFAULT_CONTINUE_COMMANDS)[0];
+  const template = env.STREAM_PARTIAL_HINT || "……（回复「{command}」查看更多）";
+  return `${partial}\n\n${template.replace(/\{command\}/g, command)}`;
+}
+
+function isStreamingEnabled(env) {
+  return (env.AI_STREAM || "").trim().toLowerCase() === "true";
+}
+
+// 逐行解析 SSE（data: {...}），extractDelta 从每个事件中取出增量文本；
+// 每收到一段增量都会以累计文本调用 onProgress。signal 中止时取消读取并抛出
+async function readSSEText(stream, extractDelta, onProgress, signal) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  const onAbort = () => reader.cancel(signal.reason).catch(() => {});
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  let buffer = "";
+  let text = "";
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (signal?.aborted) throw signal.reason;
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+      const lines = buffer.split(/\r?\n/);
+      buffer = done ? "" : lines.pop();
+      for (const line of lines) {
+        if (!line.startsWith("data:")) continue;
+        const data = line.slice(5).trim();
+        if (!data || data === "[DONE]") continue;
+
+        let delta;
+        try {
+          delta = extractDelta(JSON.parse(data));
+        } catch (error) {
+          console.warn("SSE 事件解析失败:", data);
+          continue;
+        }
+        if (delta) {
+          text += delta;
+          onProgress?.(text);
+        }
+      }
+      if (done) break;
+    }
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+  }
+  return text;
+}
+
+// -------- 长回复分页 --------
+
+// 超长回复只发送第一页，剩余分页按用户保存，发送「继续」逐页查看
+function paginateReply(userId, text, env, ctx) {
+  const pages = splitReplyPages(text, getReplyMaxBytes(env) - PAGE_HINT_RESERVED_BYTES);
+  if (pages.length <= 1) {
+    return text;
+  }
+
+  const [firstPage, ...restPages] = pages;
+  setUserState(userId, "pages", restPages, PAGE_TTL_SECONDS, env, ctx);
+  return appendPageHint(firstPage, restPages.length, env);
+}
+
+async function takeNextPage(userId, env, ctx) {
+  const next = await shiftUserPages(userId, env, ctx);
+  if (!next) {
+    // 流式输出已先回复了一部分，剩余内容还在后台生成
+    const pending = await getUserState(userId, "pending", env);
+    if (pending?.partial && !pending.reply) {
+      return env.STREAM_PENDING_REPLY || "后续内容仍在生成中，请稍后再发送「继续」查看。";
+    }
+    return env.NO_MORE_PAGES_REPLY || "没有更多内容了。";
+  }
+  return next.remaining > 0 ? appendPageHint(next.page, next.remaining, env) : next.page;
+}
+
+// 取出下一页并保存剩余分页，返回 { page, remaining }，没有分页时返回 null；
+// Durable Object 存储在对象内完成取出与保存，连续发送「继续」不会拿到同一页
+async function shiftUserPages(userId, env, ctx) {
+  const stub = getConversationStub(userId, env);
+  if (stub) {
+    try {
+      const { item, remaining } = await callConversationStore(stub, "POST", "/state/pages/shift");
+      return item === null ? null : { page: item, remaining };
+    } catch (error) {
+      console.warn("Durable Object 读取分页失败:", error);
+      return null;
+    }
+  }
+
+  const pages = await getCachedValue(`pages:${userId}`, env);
+  if (!Array.isArray(pages) || pages.length === 0) {
+    return null;
+  }
+  const [page, ...restPages] = pages;
+  if (restPages.length > 0) {
+    setCachedValue(`pages:${userId}`, restPages, PAGE_TTL_SECONDS, env, ctx);
+  } else {
+    deleteCachedValue(`pages:${userId}`, env, ctx);
+  }
+  return { page, remaining: restPages.length };
+}
+
+function appendPageHint(page, remaining, env) {
+  const command = getCommands(env.CONTINUE_COMMANDS, DEFAULT_CONTINUE_COMMANDS)[0];
+  const template = env.PAGE_HINT || "（回复「{command}」查看剩余 {remaining} 页）";
+  const hint = template.replace(/\{command\}/g, command).replace(/\{remaining\}/g, String(remaining));
+  return `${page}\n\n${hint}`;
+}
+
+// 按 UTF-8 字节数切分，依次尝试在段落、换行、句子边界处断开，实在过长再按字符硬切；
+// 链接不会被拆到两页（单个链接超过一页时除外）
+function splitReplyPages(text, maxBytes) {
+  if (utf8Length(text) <= maxBytes) {
+    return [text];
+  }
+
+  const pages = [];
+  let current = "";
+  for (const segment of splitSegments(text, maxBytes)) {
+    if (current && utf8Length(current + segment) > maxBytes) {
+      pages.push(current.trim());
+      current = "";
+    }
+    current += segment;
+  }
+  if (current.trim()) {
+    pages.push(current.trim());
+  }
+  return pages.filter(Boolean);
+}
+
+const SEGMENT_PATTERNS = [
+  /[\s\S]+?(?:\n{2,}|$)/g, // 段落
+  /[\s\S]+?(?:\n|$)/g, // 行
+  // 句子；英文标点后须跟空白，链接中的 . ? ! 不算句末
+  /[\s\S]+?(?:[。！？；]+["'”’）)]*|[!?;.]+["'”’）)]*(?=\s|$)|$)/g
+];
+
+// 硬切时作为整体的最小单位：链接或单个字符（按码点，不拆开 emoji 的代理对）
+const UNSPLITTABLE_PATTERN = /https?:\/\/[^\s，。！？；、）]+|[\s\S]/gu;
+
+function splitSegments(text, maxBytes, level = 0) {
+  if (utf8Length(text) <= maxBytes) {
+    return [text];
+  }
+  if (level >= SEGMENT_PATTERNS.length) {
+    return splitByBytes(text, maxBytes);
+  }
+
+  const parts = (text.match(SEGMENT_PATTERNS[level]) || []).filter(Boolean);
+  return parts.flatMap(part => splitSegments(part, maxBytes, level + 1));
+}
+
+function splitByBytes(text, maxBytes) {
+  const units = (text.match(UNSPLITTABLE_PATTERN) || [])
+    .flatMap(unit => utf8Length(unit) > maxBytes ? [...unit] : [unit]);
+  const chunks = [];
+  let current = "";
+  for (const unit of units) {
+    if (current && utf8Length(current + unit) > maxBytes) {
+      chunks.push(current);
+      current = "";
+    }
+    current += unit;
+  }
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+function utf8Length(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+function getReplyMaxBytes(env) {
+  const value = Number.parseInt(env.REPLY_MAX_BYTES || "", 10);
+  if (!Number.isFinite(value) || value < 500) {
+    return DEFAULT_REPLY_MAX_BYTES;
+  }
+  return Math.min(value, 2048);
+}
+
+// -------- 对话导出 --------
+
+// 配置 TRANSCRIPT_SECRET 后启用：每轮对话另存一份比会话窗口更长的归档，「导出对话」返回带签名的查看链接
+function isTranscriptEnabled(env) {
+  return Boolean(env.TRANSCRIPT_SECRET);
+}
+
+function isExportCommand(message, env) {
+  return isTranscriptEnabled(env) && matchesCommand(message, env.EXPORT_COMMANDS, DEFAULT_EXPORT_COMMANDS);
+}
+
+function getTranscriptMaxMessages(env) {
+  return getPositiveInt(env.TRANSCRIPT_MAX_MESSAGES) || DEFAULT_TRANSCRIPT_MAX_MESSAGES;
+}
+
+function getTranscriptTtlSeconds(env) {
+  return getPositiveInt(env.TRANSCRIPT_TTL_SECONDS) || DEFAULT_TRANSCRIPT_TTL_SECONDS;
+}
+
+async function handleExportCommand(userId, env) {
+  const messages = await getTranscriptMessages(userId, env);
+  if (messages.length === 0) {
+    return "还没有可以导出的对话。";
+  }
+
+  const ttlSeconds = getTranscriptTtlSeconds(env);
+  const token = await createTranscriptToken(userId, ttlSeconds, env);
+  const baseUrl = (env.TRANSCRIPT_BASE_URL || env.REQUEST_ORIGIN || "").replace(/\/+$/, "");
+  const validity = ttlSeconds % 3600 === 0 ? `${ttlSeconds / 3600} 小时` : `${Math.ceil(ttlSeconds / 60)} 分钟`;
+  return `对话记录（共 ${messages.length} 条）已生成，链接 ${validity}内有效：\n${baseUrl}/transcript/${token}`;
+}
+
+// 归档保存在 KV 的 archive:<openid>，每条为 { role, content, time }，只保留最近 TRANSCRIPT_MAX_MESSAGES 条
+function appendTranscriptArchive(userId, userMsg, assistantReply, env, ctx) {
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (!kvNamespace) return;
+
+  const time = new Date().toISOString();
+  const writePromise = (async () => {
+    const kvData = await kvNamespace.get(`archive:${userId}`);
+    const archive = kvData ? JSON.parse(kvData) : [];
+    archive.push({ role: "user", content: userMsg, time }, { role: "assistant", content: assistantReply, time });
+    await kvNamespace.put(`archive:${userId}`, JSON.stringify(archive.slice(-getTranscriptMaxMessages(env))), {
+      expirationTtl: getHistoryKvTtlSeconds(env)
+    });
+  })().catch(err => console.error("KV 写入对话归档失败:", err));
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(writePromise);
+  }
+}
+
+// 优先读取归档；启用导出前的对话没有归档，退回当前的会话历史（没有时间）
+async function getTranscriptMessages(userId, env) {
+  let archive = [];
+  try {
+    const stub = getConversationStub(userId, env);
+    if (stub) {
+      archive = (await callConversationStore(stub, "GET", "/archive")).messages;
+    } else if (env.AI_CHAT_HISTORY) {
+      const kvData = await env.AI_CHAT_HISTORY.get(`archive:${userId}`);
+      archive = kvData ? JSON.parse(kvData) : [];
+    }
+  } catch (error) {
+    console.warn("读取对话归档失败:", error);
+  }
+  if (archive.length > 0) {
+    return archive;
+  }
+  return (await getConversationHybrid(userId, env)).history;
+}
+
+async function clearTranscriptArchive(userId, env) {
+  const stub = getConversationStub(userId, env);
+  if (stub) {
+    await callConversationStore(stub, "DELETE", "/archive")
+      .catch(err => console.error("Durable Object 删除对话归档失败:", err));
+    return;
+  }
+  await env.AI_CHAT_HISTORY?.delete(`archive:${userId}`);
+}
+
+// token = base64url({ i: 链接 ID, a: 账号 ID, e: 过期时间戳（秒） }) + "." + HMAC-SHA256 签名（十六进制）。
+// 链接 ID 是随机值，对应的 OpenID 保存在短期缓存 transcript:<链接 ID> 中，链接本身不暴露 OpenID
+async function createTranscriptToken(userId, ttlSeconds, env) {
+  const linkId = crypto.randomUUID().replace(/-/g, "");
+  await setCachedValue(`transcript:${linkId}`, { userId }, ttlSeconds, env);
+  const payload = { i: linkId, e: Math.floor(Date.now() / 1000) + ttlSeconds };
+  if (env.ACCOUNT_ID) {
+    payload.a = env.ACCOUNT_ID;
+  }
+  const encoded = bytesToBase64(new TextEncoder().encode(JSON.stringify(payload)))
+    .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  return `${encoded}.${await hmacSHA256Hex(env.TRANSCRIPT_SECRET, encoded)}`;
+}
+
+// 只解码不校验签名；格式不对时返回 null
+function decodeTranscriptToken(token) {
+  const [encoded] = (token || "").split(".");
+  try {
+    const base64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
+    const payload = JSON.parse(new TextDecoder().decode(base64ToBytes(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="))));
+    return payload && typeof payload.i === "string" ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 取出路径中的 token；%xx 编码不合法时返回空字符串，按无效链接处理
+function getTranscriptToken(url) {
+  try {
+    return decodeURIComponent(url.pathname.slice("/transcript/".length));
+  } catch (error) {
+    return "";
+  }
+}
+
+// 校验签名、有效期和账号，通过时返回 payload
+async function verifyTranscriptToken(token, env) {
+  const [encoded, signature] = (token || "").split(".");
+  if (!encoded || !signature) return null;
+  if (!timingSafeEqual(signature, await hmacSHA256Hex(env.TRANSCRIPT_SECRET, encoded))) return null;
+
+  const payload = decodeTranscriptToken(token);
+  if (!payload || payload.e * 1000 < Date.now() || (payload.a || "") !== (env.ACCOUNT_ID || "")) {
+    return null;
+  }
+  return payload;
+}
+
+async function hmacSHA256Hex(secret, data) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return bufferToHex(await crypto.subtle.sign("HMAC", key, encoder.encode(data)));
+}
+
+// GET /transcript/:token：默认返回适配手机的 HTML 页面，?format=txt / json 下载纯文本或 JSON。
+// 页面内容按访问时的归档实时生成，链接过期前的新对话也会显示
+async function handleTranscriptRequest(request, env) {
+  if (!isTranscriptEnabled(env)) {
+    return new Response("Not Found", { status: 404 });
+  }
+
+  const url = new URL(request.url);
+  const payload = await verifyTranscriptToken(getTranscriptToken(url), env);
+  const link = payload ? await getCachedValue(`transcript:${payload.i}`, env) : null;
+  if (!link?.userId) {
+    return new Response("链接无效或已过期，请在公众号中重新发送「导出对话」。", {
+      status: 403,
+      headers: { "Content-Type": "text/plain; charset=utf-8" }
+    });
+  }
+
+  const messages = await getTranscriptMessages(link.userId, env);
+  const exportedAt = new Date().toISOString();
+  const filename = `transcript-${getBeijingDate()}`;
+  const headers = {
+    "Cache-Control": "private, no-store",
+    "Referrer-Policy": "no-referrer",
+    "X-Robots-Tag": "noindex, nofollow"
+  };
+
+  switch (url.searchParams.get("format")) {
+    case "json":
+      return new Response(JSON.stringify({ exportedAt, messages }, null, 2), {
+        headers: {
+          ...headers,
+          "Content-Type": "application/json; charset=utf-8",
+          "Content-Disposition": `attachment; filename="${filename}.json"`
+        }
+      });
+    case "txt":
+      return new Response(renderTranscriptText(messages), {
+        headers: {
+          ...headers,
+          "Content-Type": "text/plain; charset=utf-8",
+          "Content-Disposition": `attachment; filename="${filename}.txt"`
+        }
+      });
+    default:
+      return new Response(renderTranscriptHTML(messages, url.pathname), {
+        headers: { ...headers, "Content-Type": "text/html; charset=utf-8" }
+      });
+  }
+}
+
+// 对话记录页面中的文本需转义 HTML 特殊字符
+function escapeHTML(value) {
+  return String(value ?? "").replace(/[&<>"']/g, char => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+}
+
+function renderTranscriptText(messages) {
+  return messages
+    .map(item => {
+      const time = item.time ? `[${formatTranscriptTime(item.time)}] ` : "";
+      return `${time}${item.role === "user" ? "我" : "助手"}：\n${item.content}`;
+    })
+    .join("\n\n") + "\n";
+}
+
+function renderTranscriptHTML(messages, pathname) {
+  const items = messages.map(item => {
+    const time = item.time ? `<time>${escapeHTML(formatTranscriptTime(item.time))}</time>` : "";
+    return `<div class="msg ${item.role === "user" ? "user" : "assistant"}">${time}<p>${escapeHTML(item.content)}</p></div>`;
+  }).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>对话记录</title>
+<style>
+body { margin: 0; background: #ededed; font: 16px/1.6 -apple-system, BlinkMacSystemFont, "PingFang SC", "Microsoft YaHei", sans-serif; color: #191919; }
+header { position: sticky; top: 0; padding: 12px 16px; background: #f7f7f7; border-bottom: 1px solid #ddd; }
+header h1 { margin: 0; font-size: 17px; }
+header span { color: #888; font-size: 13px; }
+header a { margin-left: 12px; color: #576b95; font-size: 14px; text-decoration: none; }
+main { max-width: 720px; margin: 0 auto; padding: 12px; }
+.msg { display: flex; flex-direction: column; margin: 12px 0; }
+.msg.user { align-items: flex-end; }
+.msg.assistant { align-items: flex-start; }
+.msg p { max-width: 85%; margin: 0; padding: 10px 12px; border-radius: 6px; white-space: pre-wrap; word-break: break-word; }
+.msg.user p { background: #95ec69; }
+.msg.assistant p { background: #fff; }
+.msg time { margin-bottom: 4px; color: #999; font-size: 12px; }
+.empty { color: #888; text-align: center; }
+</style>
+</head>
+<body>
+<header>
+<h1>对话记录</h1>
+<span>共 ${messages.length} 条</span><a href="${escapeHTML(pathname)}?format=txt">下载 TXT</a><a href="${escapeHTML(pathname)}?format=json">下载 JSON</a>
+</header>
+<main>
+${items || '<p class="empty">暂无对话</p>'}
+</main>
+</body>
+</html>
+`;
 }
 
-// 混合写入：立即更新内存，条件写入 KV
-function updateHistoryHybrid(userId, userMsg, assistantReply, env, ctx) {
-  const kvNamespace = env.AI_CHAT_HISTORY;
-  const cached = chatCache.get(userId);
-  let history = cached ? [...cached.history] : [];
-  const kvSnapshot = cached?.kvSnapshot || null;
+// 按北京时间显示：2024-01-01 09:30
+function formatTranscriptTime(iso) {
+  const { date, time } = getBeijingTime(Date.parse(iso));
+  return `${date} ${time}`;
+}
 
-  // 添加新对话
-  history.push({ role: "user", content: userMsg });
-  history.push({ role: "assistant", content: assistantReply });
+// -------- 微信接口 --------
+
+function getWechatAPIBaseUrl(env) {
+  return (env.WECHAT_API_BASE_URL || DEFAULT_WECHAT_API_BASE_URL).replace(/\/+$/, "");
+}
 
-  // 保留最近 MAX_HISTORY_MESSAGES 条消息
-  if (history.length > MAX_HISTORY_MESSAGES) {
-    history = history.slice(-MAX_HISTORY_MESSAGES);
+// access_token 缓存在内存与 KV 中，距过期不足 5 分钟时主动刷新
+async function getAccessToken(env, forceRefresh = false) {
+  if (!env.WECHAT_APPID || !env.WECHAT_APPSECRET) {
+    throw new Error("未配置 WECHAT_APPID / WECHAT_APPSECRET");
   }
 
-  // 更新内存缓存
-  chatCache.set(userId, {
-    history,
-    expireAt: Date.now() + CACHE_TTL,
-    kvSnapshot
-  });
+  const cacheKey = `access_token:${env.WECHAT_APPID}`;
+  if (!forceRefresh) {
+    const cached = await getCachedValue(cacheKey, env);
+    if (cached?.token && cached.expireAt - ACCESS_TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+      return cached.token;
+    }
+  }
 
-  // 只在内容实际变化时写回 KV，避免因为固定长度裁剪导致后续不再落盘
-  const serializedHistory = JSON.stringify(history);
-  if (kvNamespace && serializedHistory !== kvSnapshot) {
-    const writePromise = kvNamespace.put(userId, serializedHistory)
-      .then(() => {
-        // 写入成功后更新最新快照
-        const current = chatCache.get(userId);
-        if (current) {
-          current.kvSnapshot = serializedHistory;
-        }
-      })
-      .catch(err => console.error("KV 写入失败:", err));
+  const url = `${getWechatAPIBaseUrl(env)}/cgi-bin/token?grant_type=client_credential`
+    + `&appid=${encodeURIComponent(env.WECHAT_APPID)}&secret=${encodeURIComponent(env.WECHAT_APPSECRET)}`;
+  const response = await fetch(url);
+  const data = await response.json();
+  if (!response.ok || !data.access_token) {
+    throw new Error(`获取 access_token 失败 ${data.errcode || response.status}: ${data.errmsg || "未知错误"}`);
+  }
 
-    // 异步执行，不阻塞响应
-    if (ctx?.waitUntil) {
-      ctx.waitUntil(writePromise);
+  const expiresIn = Number(data.expires_in) || 7200;
+  await setCachedValue(cacheKey, { token: data.access_token, expireAt: Date.now() + expiresIn * 1000 }, expiresIn, env);
+  return data.access_token;
+}
+
+// 调用需要 access_token 的接口；token 失效（40001/40014/42001）时强制刷新后重试一次
+// payload 为 FormData 时按 multipart 上传（如临时素材），否则以 JSON 发送
+async function callWechatAPI(path, payload, env) {
+  const isForm = payload instanceof FormData;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const accessToken = await getAccessToken(env, attempt > 0);
+    const separator = path.includes("?") ? "&" : "?";
+    const response = await fetch(`${getWechatAPIBaseUrl(env)}${path}${separator}access_token=${encodeURIComponent(accessToken)}`, {
+      method: "POST",
+      headers: isForm ? undefined : { "Content-Type": "application/json" },
+      body: isForm ? payload : JSON.stringify(payload)
+    });
+    const data = await response.json();
+
+    if (ACCESS_TOKEN_INVALID_ERRCODES.includes(data.errcode) && attempt === 0) {
+      console.warn(`access_token 已失效 (${data.errcode})，刷新后重试`);
+      continue;
+    }
+    if (!response.ok || data.errcode) {
+      throw new Error(`微信接口错误 ${data.errcode || response.status}: ${data.errmsg || "未知错误"}`);
     }
+    return data;
   }
+}
 
-  // 清理过期缓存
-  cleanExpiredCache();
+// content 为文本或 formatXMLReply 支持的回复对象；客服消息的图文只能包含 1 条
+function sendCustomMessage(openId, content, env) {
+  return callWechatAPI("/cgi-bin/message/custom/send", { touser: openId, ...buildCustomMessage(content) }, env);
 }
 
-function cleanExpiredCache() {
-  const now = Date.now();
-  for (const [userId, cached] of chatCache.entries()) {
-    if (cached.expireAt <= now) {
-      chatCache.delete(userId);
+function buildCustomMessage(reply) {
+  switch (typeof reply === "string" ? "text" : reply?.type) {
+    case "image":
+      return { msgtype: "image", image: { media_id: reply.mediaId } };
+    case "voice":
+      return { msgtype: "voice", voice: { media_id: reply.mediaId } };
+    case "news": {
+      const [article = {}] = reply.articles || [];
+      return {
+        msgtype: "news",
+        news: { articles: [{ title: article.title, description: article.description, url: article.url, picurl: article.picUrl }] }
+      };
     }
+    case "music":
+      return {
+        msgtype: "music",
+        music: {
+          title: reply.title,
+          description: reply.description,
+          musicurl: reply.musicUrl,
+          hqmusicurl: reply.hqMusicUrl || reply.musicUrl,
+          thumb_media_id: reply.thumbMediaId
+        }
+      };
+    default:
+      return { msgtype: "text", text: { content: typeof reply === "string" ? reply : reply?.content } };
   }
 }
 
+// 上传临时素材（3 天有效），返回 media_id
+async function uploadTemporaryMedia(type, bytes, filename, mimeType, env) {
+  const form = new FormData();
+  form.append("media", new Blob([bytes], { type: mimeType }), filename);
+  const data = await callWechatAPI(`/cgi-bin/media/upload?type=${type}`, form, env);
+  return data.media_id;
+}
+
+function isAsyncReplyEnabled(env) {
+  return (env.AI_ASYNC_REPLY || "").trim().toLowerCase() === "true";
+}
+
 // -------- 辅助函数 --------
 
 function isCrawler(request) {
@@ -224,6 +3835,71 @@ function isCrawler(request) {
   return false;
 }
 
+// 校验 timestamp 有效期与 signature，失败时返回 403 响应
+async function verifyRequestSignature(searchParams, env) {
+  const signature = searchParams.get("signature");
+  const timestamp = searchParams.get("timestamp");
+  const nonce = searchParams.get("nonce");
+
+  if (!isTimestampValid(timestamp, SIGNATURE_MAX_AGE_SECONDS)) {
+    console.warn(`Invalid timestamp: ${timestamp}`);
+    return new Response("Invalid timestamp", { status: 403 });
+  }
+
+  if (!signature || !nonce || !(await checkSignature(signature, timestamp, nonce, env.WECHAT_TOKEN))) {
+    console.warn("Invalid signature");
+    return new Response("Invalid signature", { status: 403 });
+  }
+
+  return null;
+}
+
+// 同一 timestamp + nonce 在有效期内只能对应一条消息：记录首次出现时的消息标识，
+// 之后携带相同标识的请求是微信的重试，携带不同标识的才是重放。内存优先，KV 兜底跨实例去重
+async function isReplayedRequest(searchParams, messageKey, env, ctx) {
+  const nonceKey = `${searchParams.get("timestamp")}:${searchParams.get("nonce")}`;
+  const now = Date.now();
+
+  for (const [key, seen] of seenNonces.entries()) {
+    if (seen.expireAt <= now) {
+      seenNonces.delete(key);
+    }
+  }
+
+  const seen = seenNonces.get(nonceKey);
+  if (seen) {
+    return seen.messageKey !== messageKey;
+  }
+  seenNonces.set(nonceKey, { messageKey, expireAt: now + SIGNATURE_MAX_AGE_SECONDS * 1000 });
+
+  const kvNamespace = env.AI_CHAT_HISTORY;
+  if (!kvNamespace) {
+    return false;
+  }
+
+  try {
+    const kvData = await kvNamespace.get(`nonce:${nonceKey}`);
+    if (kvData) {
+      return kvData !== messageKey;
+    }
+  } catch (error) {
+    console.warn("KV 读取 nonce 失败:", error);
+    return false;
+  }
+
+  const writePromise = kvNamespace.put(`nonce:${nonceKey}`, messageKey, { expirationTtl: SIGNATURE_MAX_AGE_SECONDS })
+    .catch(err => console.error("KV 写入 nonce 失败:", err));
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(writePromise);
+  }
+  return false;
+}
+
+// 消息标识：普通消息为 MsgId，事件没有 MsgId，按微信建议用 FromUserName + CreateTime
+function getMessageKey(msg) {
+  return msg.MsgId || `${msg.FromUserName}:${msg.CreateTime}`;
+}
+
 function isTimestampValid(timestamp, maxAgeSeconds = 300) {
   if (!timestamp) return false;
   const requestTime = parseInt(timestamp, 10);
@@ -233,47 +3909,350 @@ function isTimestampValid(timestamp, maxAgeSeconds = 300) {
 }
 
 function checkSignature(signature, timestamp, nonce, token) {
-  const tempStr = [token, timestamp, nonce].sort().join("");
+  return sha1Signature(token, timestamp, nonce).then(h => h === signature);
+}
+
+// 微信签名算法：参数字典序排序后拼接，再做 SHA-1
+function sha1Signature(...parts) {
+  const tempStr = parts.sort().join("");
   const hash = new Uint8Array(new TextEncoder().encode(tempStr));
-  return crypto.subtle.digest("SHA-1", hash).then(bufferToHex).then(h => h === signature);
+  return crypto.subtle.digest("SHA-1", hash).then(bufferToHex);
 }
 
 function bufferToHex(buffer) {
   return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, "0")).join("");
 }
 
+// 微信推送的常用字段，缺失时为空字符串；其余字段（含 ScanCodeInfo 等嵌套元素）原样保留
+const WECHAT_MESSAGE_FIELDS = [
+  "ToUserName", "FromUserName", "CreateTime", "MsgType", "MsgId", "Event", "EventKey",
+  "Content", "Recognition", "PicUrl", "MediaId", "Location_X", "Location_Y", "Scale", "Label",
+  "Title", "Description", "Url"
+];
+
+// 返回消息对象；XML 不合法或缺少 MsgType、FromUserName、ToUserName 时返回 null
 function parseXML(xml) {
-  const msgType = extractTag(xml, "MsgType");
-  const event = extractTag(xml, "Event");
-  return {
-    MsgType: msgType,
-    Event: event,
-    Content: msgType === "text" ? extractContentTag(xml) : "",
-    FromUserName: extractTag(xml, "FromUserName"),
-    ToUserName: extractTag(xml, "ToUserName")
+  const root = parseWechatXML(xml);
+  if (!root || !root.MsgType || !root.FromUserName || !root.ToUserName) {
+    return null;
+  }
+
+  const msg = { ...root };
+  for (const field of WECHAT_MESSAGE_FIELDS) {
+    if (typeof msg[field] !== "string") {
+      msg[field] = "";
+    }
+  }
+  return msg;
+}
+
+// 解析根元素为 <xml> 的微信 XML：只含文本的元素解析为字符串（CDATA 原样保留，普通文本解码实体并去掉首尾空白），
+// 含子元素的解析为对象，同名子元素（如 PicList 中的 item）合并为数组。格式不合法时返回 null
+function parseWechatXML(xml) {
+  if (typeof xml !== "string") {
+    return null;
+  }
+
+  const source = xml.replace(/^\uFEFF/, "");
+  let position = 0;
+
+  const fail = message => {
+    throw new Error(`${message}（位置 ${position}）`);
+  };
+  // 粘性正则从 position 处匹配，避免反复截取字符串
+  const matchAt = pattern => {
+    pattern.lastIndex = position;
+    return pattern.exec(source);
+  };
+  const skipMisc = () => {
+    let skipped;
+    while ((skipped = matchAt(XML_MISC_PATTERN))) {
+      position += skipped[0].length;
+    }
   };
+
+  function parseElement() {
+    const open = matchAt(XML_OPEN_TAG_PATTERN);
+    if (!open) fail("缺少开始标签");
+    position += open[0].length;
+    const name = open[1];
+    if (open[2]) return { name, value: "" };
+
+    const children = {};
+    let hasChildren = false;
+    let text = "";
+    let hasCDATA = false;
+
+    while (true) {
+      if (position >= source.length) fail(`元素 ${name} 未闭合`);
+
+      if (source.startsWith("<![CDATA[", position)) {
+        const end = source.indexOf("]]>", position + 9);
+        if (end === -1) fail("CDATA 未闭合");
+        text += source.slice(position + 9, end);
+        hasCDATA = true;
+        position = end + 3;
+      } else if (source.startsWith("<!--", position)) {
+        const end = source.indexOf("-->", position + 4);
+        if (end === -1) fail("注释未闭合");
+        position = end + 3;
+      } else if (source.startsWith("</", position)) {
+        const close = matchAt(XML_CLOSE_TAG_PATTERN);
+        if (!close || close[1] !== name) fail(`元素 ${name} 的结束标签不匹配`);
+        position += close[0].length;
+        break;
+      } else if (source[position] === "<") {
+        const child = parseElement();
+        hasChildren = true;
+        if (child.name in children) {
+          children[child.name] = [].concat(children[child.name], child.value);
+        } else {
+          children[child.name] = child.value;
+        }
+      } else {
+        const end = source.indexOf("<", position);
+        if (end === -1) fail(`元素 ${name} 未闭合`);
+        const raw = source.slice(position, end);
+        // CDATA 前后的缩进空白不计入内容
+        if (raw.trim()) {
+          text += decodeXMLEntities(raw);
+        }
+        position = end;
+      }
+    }
+
+    if (hasChildren) {
+      return { name, value: children };
+    }
+    return { name, value: hasCDATA ? text : text.trim() };
+  }
+
+  try {
+    skipMisc();
+    const root = parseElement();
+    skipMisc();
+    if (position < source.length) fail("根元素之后存在多余内容");
+    if (root.name !== "xml" || typeof root.value !== "object") fail("根元素必须是包含子元素的 <xml>");
+    return root.value;
+  } catch (error) {
+    console.warn("XML 解析失败:", error.message);
+    return null;
+  }
+}
+
+const XML_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+const XML_MISC_PATTERN = /\s+|<\?[\s\S]*?\?>|<!--[\s\S]*?-->/y; // 空白、XML 声明、注释
+const XML_OPEN_TAG_PATTERN = /<([A-Za-z_][\w.-]*)(?:\s[^<>]*?)?(\/?)>/y;
+const XML_CLOSE_TAG_PATTERN = /<\/([A-Za-z_][\w.-]*)\s*>/y;
+
+function decodeXMLEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (entity, code) => {
+    if (code[0] === "#") {
+      const codePoint = code[1] === "x" ? Number.parseInt(code.slice(2), 16) : Number.parseInt(code.slice(1), 10);
+      return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+    }
+    return XML_ENTITIES[code] ?? entity;
+  });
+}
+
+// -------- 消息加解密（兼容模式 / 安全模式） --------
+
+// 缓存导入后的 AES 密钥，key = EncodingAESKey
+const aesKeyCache = new Map();
+
+// 兼容模式与安全模式都会带上 encrypt_type=aes；安全模式下 XML 中只有 ToUserName 和 Encrypt
+async function resolveIncomingXML(body, searchParams, env) {
+  const envelope = parseWechatXML(body);
+  if (!envelope) {
+    return { response: new Response("Invalid XML", { status: 400 }) };
+  }
+  const encrypt = typeof envelope.Encrypt === "string" ? envelope.Encrypt : "";
+  if (searchParams.get("encrypt_type") !== "aes" || !encrypt) {
+    return { xml: body, secure: false };
+  }
+
+  if (!env.WECHAT_ENCODING_AES_KEY) {
+    // 兼容模式下仍有明文字段，可以降级处理
+    if (envelope.MsgType) {
+      console.warn("收到加密消息但未配置 WECHAT_ENCODING_AES_KEY，按明文处理");
+      return { xml: body, secure: false };
+    }
+    console.error("安全模式需要配置 WECHAT_ENCODING_AES_KEY");
+    return { response: new Response("Missing EncodingAESKey", { status: 500 }) };
+  }
+
+  const msgSignature = searchParams.get("msg_signature");
+  const timestamp = searchParams.get("timestamp");
+  const nonce = searchParams.get("nonce");
+  const expected = await sha1Signature(env.WECHAT_TOKEN, timestamp, nonce, encrypt);
+  if (expected !== msgSignature) {
+    console.warn("Invalid msg_signature");
+    return { response: new Response("Invalid msg_signature", { status: 403 }) };
+  }
+
+  try {
+    const xml = await decryptWechatMessage(encrypt, env.WECHAT_ENCODING_AES_KEY, env.WECHAT_APPID);
+    return { xml, secure: true };
+  } catch (error) {
+    console.warn("消息解密失败:", error);
+    return { response: new Response("Decrypt failed", { status: 400 }) };
+  }
+}
+
+async function encryptXMLReply(xml, env, nonce) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const replyNonce = nonce || bufferToHex(crypto.getRandomValues(new Uint8Array(8)));
+  const encrypt = await encryptWechatMessage(xml, env.WECHAT_ENCODING_AES_KEY, env.WECHAT_APPID);
+  const signature = await sha1Signature(env.WECHAT_TOKEN, timestamp, replyNonce, encrypt);
+  return `<xml>
+    <Encrypt><![CDATA[${encrypt}]]></Encrypt>
+    <MsgSignature><![CDATA[${signature}]]></MsgSignature>
+    <TimeStamp>${timestamp}</TimeStamp>
+    <Nonce><![CDATA[${replyNonce}]]></Nonce>
+  </xml>`;
+}
+
+// 明文结构：random(16B) + msg_len(4B, 网络字节序) + msg + appid，按 32 字节块做 PKCS#7 填充
+async function decryptWechatMessage(encrypted, encodingAesKey, appId) {
+  const { key, iv } = await getAESKey(encodingAesKey);
+  const cipherBytes = base64ToBytes(encrypted);
+  if (cipherBytes.length === 0 || cipherBytes.length % 16 !== 0) {
+    throw new Error("密文长度无效");
+  }
+
+  // WebCrypto 只认 16 字节块的 PKCS#7 填充，而微信按 32 字节填充。
+  // 以最后一个密文块为 IV 加密空串，得到一个「标准填充块」接在末尾，让 WebCrypto 只剥掉这一块
+  const lastBlock = cipherBytes.slice(-16);
+  const paddingBlock = new Uint8Array(
+    await crypto.subtle.encrypt({ name: "AES-CBC", iv: lastBlock }, key, new Uint8Array(0))
+  );
+  const padded = new Uint8Array(
+    await crypto.subtle.decrypt({ name: "AES-CBC", iv }, key, concatBytes(cipherBytes, paddingBlock))
+  );
+
+  const plain = stripPKCS7(padded, 32);
+  if (plain.length < 20) {
+    throw new Error("明文长度无效");
+  }
+  const msgLength = new DataView(plain.buffer, plain.byteOffset + 16, 4).getUint32(0);
+  if (20 + msgLength > plain.length) {
+    throw new Error("消息长度无效");
+  }
+
+  const decoder = new TextDecoder();
+  const xml = decoder.decode(plain.subarray(20, 20 + msgLength));
+  const receivedAppId = decoder.decode(plain.subarray(20 + msgLength));
+  if (appId && receivedAppId !== appId) {
+    throw new Error(`AppID 不匹配: ${receivedAppId}`);
+  }
+  return xml;
+}
+
+async function encryptWechatMessage(xml, encodingAesKey, appId) {
+  const { key, iv } = await getAESKey(encodingAesKey);
+  const encoder = new TextEncoder();
+  const msgBytes = encoder.encode(xml);
+  const lengthBytes = new Uint8Array(4);
+  new DataView(lengthBytes.buffer).setUint32(0, msgBytes.length);
+
+  const plain = addPKCS7(
+    concatBytes(crypto.getRandomValues(new Uint8Array(16)), lengthBytes, msgBytes, encoder.encode(appId || "")),
+    32
+  );
+  const encrypted = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-CBC", iv }, key, plain));
+  // 明文已按 32 字节对齐，WebCrypto 额外追加的 16 字节填充块直接丢弃
+  return bytesToBase64(encrypted.subarray(0, plain.length));
+}
+
+async function getAESKey(encodingAesKey) {
+  const cached = aesKeyCache.get(encodingAesKey);
+  if (cached) return cached;
+
+  const keyBytes = base64ToBytes(`${encodingAesKey}=`);
+  if (keyBytes.length !== 32) {
+    throw new Error("EncodingAESKey 无效，应为 43 位字符");
+  }
+  const key = await crypto.subtle.importKey("raw", keyBytes, { name: "AES-CBC" }, false, ["encrypt", "decrypt"]);
+  const entry = { key, iv: keyBytes.slice(0, 16) };
+  aesKeyCache.set(encodingAesKey, entry);
+  return entry;
+}
+
+function addPKCS7(bytes, blockSize) {
+  const padLength = blockSize - (bytes.length % blockSize);
+  const padded = new Uint8Array(bytes.length + padLength);
+  padded.set(bytes);
+  padded.fill(padLength, bytes.length);
+  return padded;
+}
+
+function stripPKCS7(bytes, blockSize) {
+  const padLength = bytes[bytes.length - 1];
+  if (!padLength || padLength > blockSize || padLength > bytes.length) {
+    throw new Error("填充无效");
+  }
+  return bytes.subarray(0, bytes.length - padLength);
+}
+
+function concatBytes(...arrays) {
+  const result = new Uint8Array(arrays.reduce((sum, item) => sum + item.length, 0));
+  let offset = 0;
+  for (const item of arrays) {
+    result.set(item, offset);
+    offset += item.length;
+  }
+  return result;
 }
 
-function extractTag(xml, tag) {
-  const match = xml.match(new RegExp(`<${tag}><!\\[CDATA\\[(.*?)\\]\\]></${tag}>`));
-  return match ? match[1] : "";
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
 }
 
-function extractContentTag(xml) {
-  const match = xml.match(/<Content><!\[CDATA\[(.*?)\]\]><\/Content>/);
-  return match ? match[1] : "";
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
 }
 
 // -------- AI 调用 --------
 
 function resolveAIProvider(env) {
   const configured = (env.AI_PROVIDER || "").trim().toLowerCase();
-  if (configured === "workers-ai" || configured === "openai") {
+  if (AI_PROVIDERS.includes(configured)) {
     return configured;
   }
   return "openai";
 }
 
+// AI_PROVIDERS 按顺序配置降级链，如 openai,workers-ai；未配置时只使用 AI_PROVIDER
+function resolveAIProviders(env) {
+  const providers = (env.AI_PROVIDERS || "")
+    .split(",")
+    .map(item => item.trim().toLowerCase())
+    .filter(item => AI_PROVIDERS.includes(item));
+  return providers.length > 0 ? [...new Set(providers)] : [resolveAIProvider(env)];
+}
+
+// 后台预算：被动回复超时后 AI 调用仍可在 waitUntil 中继续，降级链整体不超过该时长
+function getAIBackgroundTimeoutMs(env) {
+  const value = Number.parseInt(env.AI_BACKGROUND_TIMEOUT_MS || "", 10);
+  if (!Number.isFinite(value) || value < 1000) {
+    return DEFAULT_AI_BACKGROUND_TIMEOUT_MS;
+  }
+  return Math.min(value, 28000);
+}
+
+function getAIErrorReply(env) {
+  return env.AI_ERROR_REPLY || "抱歉，AI 服务暂时不可用，请稍后再试。";
+}
+
 function getAITimeoutMs(env) {
   const value = Number.parseInt(env.AI_TIMEOUT_MS || "", 10);
   if (!Number.isFinite(value) || value < 1000) {
@@ -283,18 +4262,34 @@ function getAITimeoutMs(env) {
 }
 
 function getTimeoutReply(env) {
-  return env.AI_TIMEOUT_REPLY || "消息已收到，处理中稍慢，请稍后再试一次。";
+  return env.AI_TIMEOUT_REPLY || "消息已收到，处理中稍慢，请稍后发送「结果」查看回复。";
+}
+
+function isResultCommand(message, env) {
+  return matchesCommand(message, env.RESULT_COMMANDS, DEFAULT_RESULT_COMMANDS);
 }
 
 function shouldClearHistory(message, env) {
+  return matchesCommand(message, env.CLEAR_HISTORY_COMMANDS, DEFAULT_CLEAR_HISTORY_COMMANDS);
+}
+
+function isContinueCommand(message, env) {
+  return matchesCommand(message, env.CONTINUE_COMMANDS, DEFAULT_CONTINUE_COMMANDS);
+}
+
+function matchesCommand(message, configured, defaults) {
   const trimmedMessage = (message || "").trim();
   if (!trimmedMessage) return false;
-  const configuredCommands = (env.CLEAR_HISTORY_COMMANDS || "")
+  return getCommands(configured, defaults).includes(trimmedMessage);
+}
+
+// 命令以逗号分隔配置，未配置时使用默认命令
+function getCommands(configured, defaults) {
+  const configuredCommands = (configured || "")
     .split(",")
     .map(item => item.trim())
     .filter(Boolean);
-  const commands = configuredCommands.length > 0 ? configuredCommands : DEFAULT_CLEAR_HISTORY_COMMANDS;
-  return commands.includes(trimmedMessage);
+  return configuredCommands.length > 0 ? configuredCommands : defaults;
 }
 
 function getBaseSystemPrompt(env, provider) {
@@ -305,12 +4300,30 @@ function getWechatFormatPrompt(env) {
   return (env.WECHAT_FORMAT_PROMPT || "").trim();
 }
 
-function buildSystemPrompt(env, provider) {
-  const promptParts = [getBaseSystemPrompt(env, provider)];
+// options.systemPrompt 用于摘要等内部调用，替换默认提示词；options.summary 为该用户的滚动摘要；
+// options.knowledge 为知识库检索到的段落；options.persona / options.language 来自用户设置
+function buildSystemPrompt(env, provider, options = {}) {
+  if (options.systemPrompt) {
+    return options.systemPrompt;
+  }
+
+  const promptParts = [options.persona?.prompt || getBaseSystemPrompt(env, provider)];
+  if (options.language) {
+    promptParts.push(`请始终使用${options.language}回复。`);
+  }
   const wechatFormatPrompt = getWechatFormatPrompt(env);
   if (wechatFormatPrompt) {
     promptParts.push(wechatFormatPrompt);
   }
+  if (options.summary) {
+    promptParts.push(`以下是你与该用户更早对话的摘要，可作为背景参考：\n${options.summary}`);
+  }
+  if (options.knowledge?.length) {
+    const passages = options.knowledge
+      .map((item, index) => `[${index + 1}] ${item.title}\n${item.text}`)
+      .join("\n\n");
+    promptParts.push(`请优先依据以下资料回答；资料中没有的信息请如实说明不知道，不要编造：\n\n${passages}`);
+  }
   return promptParts.join("\n\n");
 }
 
@@ -338,84 +4351,404 @@ async function withTimeout(promise, timeoutMs, fallbackValue) {
   }
 }
 
-async function chatWithProvider(provider, msg, env, history) {
-  if (provider === "workers-ai") {
-    return chatWithCloudflareAI(msg, env, history);
+// 按降级链依次尝试各提供方，出错（429/5xx、超时、空回复等）时切换到下一个
+// options.metrics 用于记录实际使用的提供方、模型、耗时、token 用量和失败的提供方
+async function chatWithProviders(input, env, history, options = {}) {
+  const startedAt = Date.now();
+  const deadline = startedAt + getAIBackgroundTimeoutMs(env);
+  const errors = [];
+  const metrics = options.metrics;
+  let lastError;
+
+  // 用户选择的模型所属的提供方排在降级链最前面
+  const providers = resolveAIProviders(env);
+  if (options.model && providers[0] !== options.model.provider) {
+    providers.splice(0, providers.length, options.model.provider, ...providers.filter(item => item !== options.model.provider));
+  }
+
+  for (const provider of providers) {
+    const remaining = deadline - Date.now();
+    if (remaining < MIN_PROVIDER_BUDGET_MS) {
+      errors.push(`${provider}: 剩余时间不足`);
+      break;
+    }
+
+    try {
+      // 切换提供方时清空上一个提供方流式输出的部分内容
+      options.onProgress?.("");
+      const reply = await chatWithProvider(provider, input, env, history, { ...options, signal: AbortSignal.timeout(remaining) });
+      if (metrics) {
+        metrics.provider = provider;
+        metrics.aiLatencyMs = Date.now() - startedAt;
+      }
+      return reply;
+    } catch (error) {
+      console.warn(`AI 提供方 ${provider} 调用失败:`, error.message || error);
+      errors.push(`${provider}: ${error.message || "未知错误"}`);
+      lastError = error;
+      if (metrics) {
+        metrics.failedProviders = [...(metrics.failedProviders || []), provider];
+      }
+    }
+  }
+
+  if (metrics) {
+    metrics.aiLatencyMs = Date.now() - startedAt;
+    metrics.errorClass = lastError ? classifyError(lastError) : "no_provider";
+  }
+  throw new Error(errors.join("; ") || "没有可用的 AI 提供方");
+}
+
+// input 由 buildUserInput 生成：{ text, historyText, imageUrl }
+async function chatWithProvider(provider, input, env, history, options = {}) {
+  env = applyUserPreferences(provider, env, options);
+  switch (provider) {
+    case "workers-ai":
+      return chatWithCloudflareAI(input, env, history, options);
+    case "gemini":
+      return chatWithGemini(input, env, history, options);
+    case "anthropic":
+      return chatWithAnthropic(input, env, history, options);
+    default:
+      return chatWithOpenAI(input, env, history, options);
   }
-  return chatWithOpenAI(msg, env, history);
 }
 
-async function chatWithCloudflareAI(msg, env, history) {
+async function chatWithCloudflareAI(input, env, history, options = {}) {
+  const { signal } = options;
   if (!env.AI || typeof env.AI.run !== "function") {
     throw new Error("Workers AI 未绑定，请在 wrangler.toml 配置 [ai] binding = \"AI\"");
   }
 
-  const systemPrompt = buildSystemPrompt(env, "openai");
+  const systemPrompt = buildSystemPrompt(env, "workers-ai", options);
   const messages = [
     { role: "system", content: systemPrompt },
     ...history,
-    { role: "user", content: msg }
+    { role: "user", content: input.text }
   ];
 
-  const options = {
+  const runOptions = {
     messages,
     max_tokens: getOptionalNumber(env.CF_AI_MAX_TOKENS),
     temperature: getOptionalNumber(env.CF_AI_TEMPERATURE)
   };
 
   // Workers AI 不接受值为 undefined 的字段
-  Object.keys(options).forEach(key => {
-    if (options[key] === undefined) {
-      delete options[key];
+  Object.keys(runOptions).forEach(key => {
+    if (runOptions[key] === undefined) {
+      delete runOptions[key];
     }
   });
 
-  try {
-    const result = await env.AI.run(env.CF_AI_MODEL || DEFAULT_CF_MODEL, options);
-    if (typeof result === "string") {
-      return result;
+  let model = env.CF_AI_MODEL || DEFAULT_CF_MODEL;
+  // 图片消息改用视觉模型，图片以字节数组传入
+  if (input.imageUrl) {
+    model = env.CF_AI_VISION_MODEL || DEFAULT_CF_VISION_MODEL;
+    const image = await fetchImage(input.imageUrl, signal);
+    runOptions.image = Array.from(image.bytes);
+  }
+
+  // 工具调用轮次不使用流式输出；模型不再调用工具时直接返回该轮的回答
+  const tools = options.tools || [];
+  for (let round = 0; tools.length > 0 && round < MAX_TOOL_ROUNDS; round++) {
+    const result = await raceWithSignal(env.AI.run(model, {
+      ...runOptions,
+      tools: tools.map(({ name, description, parameters }) => ({ name, description, parameters }))
+    }), signal);
+    recordModelUsage(options, model, result?.usage);
+    const toolCalls = result?.tool_calls || [];
+    if (toolCalls.length === 0) {
+      if (!result?.response) {
+        throw new Error("Workers AI 返回内容为空");
+      }
+      return result.response;
+    }
+
+    for (const call of toolCalls) {
+      const content = await runTool(tools, call.name, call.arguments, { userId: options.userId, env, signal });
+      runOptions.messages.push({ role: "tool", name: call.name, content });
     }
-    return result?.response || "抱歉，我暂时无法回答你的问题。";
-  } catch (error) {
-    console.error("Workers AI Request Failed:", error);
-    return `Workers AI 错误: ${error.message || "未知错误"}`;
   }
+
+  // 流式输出返回 SSE 格式的 ReadableStream，事件为 { response: "增量文本" }
+  if (isStreamingEnabled(env)) {
+    const stream = await raceWithSignal(env.AI.run(model, { ...runOptions, stream: true }), signal);
+    let usage;
+    const text = await readSSEText(stream, event => {
+      usage = event.usage || usage;
+      return event.response;
+    }, options.onProgress, signal);
+    recordModelUsage(options, model, usage);
+    if (!text) {
+      throw new Error("Workers AI 返回内容为空");
+    }
+    return text;
+  }
+
+  // env.AI.run 不支持 AbortSignal，用 race 保证不超出预算
+  const result = await raceWithSignal(env.AI.run(model, runOptions), signal);
+  recordModelUsage(options, model, result?.usage);
+  const text = typeof result === "string" ? result : result?.response;
+  if (!text) {
+    throw new Error("Workers AI 返回内容为空");
+  }
+  return text;
 }
 
-async function chatWithOpenAI(msg, env, history) {
+async function chatWithOpenAI(input, env, history, options = {}) {
+  const { signal } = options;
   const baseUrl = env.OPENAI_BASE_URL || "https://api.openai.com/v1";
   const url = `${baseUrl}/chat/completions`;
 
-  const systemPrompt = buildSystemPrompt(env, "openai");
+  const systemPrompt = buildSystemPrompt(env, "openai", options);
   const messages = [
     { role: "system", content: systemPrompt },
     ...history,
-    { role: "user", content: msg }
+    { role: "user", content: buildOpenAIUserContent(input) }
   ];
+  const model = input.imageUrl ? (env.OPENAI_VISION_MODEL || env.OPENAI_MODEL) : env.OPENAI_MODEL;
+  const stream = isStreamingEnabled(env);
+  const tools = options.tools || [];
+
+  // 工具调用循环：模型返回 tool_calls 时执行工具并把结果追加到消息中，最多 MAX_TOOL_ROUNDS 轮，
+  // 超出后不再提供工具，要求模型直接回答；整个循环共享同一个 signal 预算
+  for (let round = 0; ; round++) {
+    const body = { model, messages };
+    const temperature = getOptionalNumber(env.OPENAI_TEMPERATURE);
+    if (temperature !== undefined) {
+      body.temperature = temperature;
+    }
+    if (tools.length > 0 && round < MAX_TOOL_ROUNDS) {
+      body.tools = tools.map(toOpenAITool);
+    }
+    if (stream) {
+      // include_usage 让最后一个事件带上 token 用量
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
 
-  try {
     const response = await fetch(url, {
       method: "POST",
       headers: { "Content-Type": "application/json", Authorization: `Bearer ${env.OPENAI_API_KEY}` },
-      body: JSON.stringify({ model: env.OPENAI_MODEL, messages })
+      body: JSON.stringify(body),
+      signal
     });
 
-    const data = await response.json();
-    if (!response.ok) throw new Error(`OpenAI Error ${response.status}: ${data.error?.message || "未知错误"}`);
+    let text;
+    let toolCalls = [];
+    if (stream && response.ok) {
+      let usage;
+      text = await readSSEText(response.body, event => {
+        usage = event.usage || usage;
+        const delta = event.choices?.[0]?.delta;
+        mergeToolCallDeltas(toolCalls, delta?.tool_calls);
+        return delta?.content;
+      }, options.onProgress, signal);
+      recordModelUsage(options, model, usage);
+    } else {
+      const data = await response.json();
+      if (!response.ok) throw new Error(`OpenAI Error ${response.status}: ${data.error?.message || "未知错误"}`);
+      recordModelUsage(options, data.model || model, data.usage);
+      text = data.choices?.[0]?.message?.content;
+      toolCalls = data.choices?.[0]?.message?.tool_calls || [];
+    }
 
-    return data.choices?.[0]?.message?.content || "抱歉，我暂时无法回答你的问题。";
-  } catch (error) {
-    console.error("OpenAI Request Failed:", error);
-    return `OpenAI 错误: ${error.message}`;
+    if (toolCalls.length === 0) {
+      if (!text) {
+        throw new Error("OpenAI 返回内容为空");
+      }
+      return text;
+    }
+
+    messages.push({ role: "assistant", content: text || null, tool_calls: toolCalls });
+    for (const call of toolCalls) {
+      const content = await runTool(tools, call.function.name, call.function.arguments, { userId: options.userId, env, signal });
+      messages.push({ role: "tool", tool_call_id: call.id, content });
+    }
+    options.onProgress?.("");
+  }
+}
+
+// Gemini 原生接口：历史中的 assistant 对应 model 角色，系统提示词放在 systemInstruction
+async function chatWithGemini(input, env, history, options = {}) {
+  const { signal } = options;
+  const baseUrl = env.GEMINI_BASE_URL || "https://generativelanguage.googleapis.com/v1beta";
+  const model = env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL;
+  const url = `${baseUrl}/models/${model}:generateContent`;
+
+  const userParts = [{ text: input.text }];
+  if (input.imageUrl) {
+    const image = await fetchImage(input.imageUrl, signal);
+    userParts.push({ inline_data: { mime_type: image.mimeType, data: bytesToBase64(image.bytes) } });
+  }
+
+  const generationConfig = {
+    maxOutputTokens: getOptionalNumber(env.GEMINI_MAX_TOKENS),
+    temperature: getOptionalNumber(env.GEMINI_TEMPERATURE)
+  };
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-goog-api-key": env.GEMINI_API_KEY },
+    body: JSON.stringify({
+      systemInstruction: { parts: [{ text: buildSystemPrompt(env, "gemini", options) }] },
+      contents: [
+        ...history.map(item => ({
+          role: item.role === "assistant" ? "model" : "user",
+          parts: [{ text: item.content }]
+        })),
+        { role: "user", parts: userParts }
+      ],
+      generationConfig
+    }),
+    signal
+  });
+
+  const data = await response.json();
+  if (!response.ok) throw new Error(`Gemini Error ${response.status}: ${data.error?.message || "未知错误"}`);
+  recordModelUsage(options, model, data.usageMetadata);
+
+  const text = (data.candidates?.[0]?.content?.parts || []).map(part => part.text || "").join("");
+  if (!text) {
+    throw new Error(`Gemini 返回内容为空: ${data.candidates?.[0]?.finishReason || "未知原因"}`);
+  }
+  return text;
+}
+
+// Anthropic Messages 接口：system 为独立字段，max_tokens 必填
+async function chatWithAnthropic(input, env, history, options = {}) {
+  const { signal } = options;
+  const baseUrl = env.ANTHROPIC_BASE_URL || "https://api.anthropic.com/v1";
+  const url = `${baseUrl}/messages`;
+
+  const userContent = input.imageUrl
+    ? [
+      { type: "image", source: { type: "url", url: input.imageUrl } },
+      { type: "text", text: input.text }
+    ]
+    : input.text;
+
+  const body = {
+    model: env.ANTHROPIC_MODEL || DEFAULT_ANTHROPIC_MODEL,
+    max_tokens: getOptionalNumber(env.ANTHROPIC_MAX_TOKENS) || 1024,
+    temperature: getOptionalNumber(env.ANTHROPIC_TEMPERATURE),
+    system: buildSystemPrompt(env, "anthropic", options),
+    messages: [
+      ...history,
+      { role: "user", content: userContent }
+    ]
+  };
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": env.ANTHROPIC_API_KEY,
+      "anthropic-version": "2023-06-01"
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  const data = await response.json();
+  if (!response.ok) throw new Error(`Anthropic Error ${response.status}: ${data.error?.message || "未知错误"}`);
+  recordModelUsage(options, body.model, data.usage);
+
+  const text = (data.content || [])
+    .filter(block => block.type === "text")
+    .map(block => block.text)
+    .join("");
+  if (!text) {
+    throw new Error(`Anthropic 返回内容为空: ${data.stop_reason || "未知原因"}`);
+  }
+  return text;
+}
+
+function raceWithSignal(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+// 图片消息使用 OpenAI 多模态内容格式
+function buildOpenAIUserContent(input) {
+  if (!input.imageUrl) {
+    return input.text;
+  }
+  return [
+    { type: "text", text: input.text },
+    { type: "image_url", image_url: { url: input.imageUrl } }
+  ];
+}
+
+async function fetchImage(url, signal) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`图片下载失败: ${response.status}`);
   }
+  return {
+    bytes: new Uint8Array(await response.arrayBuffer()),
+    mimeType: (response.headers.get("Content-Type") || "image/jpeg").split(";")[0]
+  };
 }
 
-function formatXMLReply(to, from, content) {
+// reply 为字符串时回复文本消息，也可以是回复对象：
+//   { type: "image", mediaId }
+//   { type: "voice", mediaId }
+//   { type: "news", articles: [{ title, description, picUrl, url }] }（最多 8 条）
+//   { type: "music", title, description, musicUrl, hqMusicUrl, thumbMediaId }
+function formatXMLReply(to, from, reply) {
+  const { type, body } = formatReplyBody(reply);
   return `<xml>
-    <ToUserName><![CDATA[${to}]]></ToUserName>
-    <FromUserName><![CDATA[${from}]]></FromUserName>
+    <ToUserName><![CDATA[${escapeCDATA(to)}]]></ToUserName>
+    <FromUserName><![CDATA[${escapeCDATA(from)}]]></FromUserName>
     <CreateTime>${Math.floor(Date.now() / 1000)}</CreateTime>
-    <MsgType><![CDATA[text]]></MsgType>
-    <Content><![CDATA[${content}]]></Content>
+    <MsgType><![CDATA[${type}]]></MsgType>
+    ${body}
   </xml>`;
 }
+
+function formatReplyBody(reply) {
+  const cdata = value => `<![CDATA[${escapeCDATA(value)}]]>`;
+  switch (typeof reply === "string" ? "text" : reply?.type) {
+    case "image":
+      return { type: "image", body: `<Image><MediaId>${cdata(reply.mediaId)}</MediaId></Image>` };
+    case "voice":
+      return { type: "voice", body: `<Voice><MediaId>${cdata(reply.mediaId)}</MediaId></Voice>` };
+    case "news": {
+      const articles = (reply.articles || []).slice(0, 8).map(article => `<item>
+      <Title>${cdata(article.title)}</Title>
+      <Description>${cdata(article.description)}</Description>
+      <PicUrl>${cdata(article.picUrl)}</PicUrl>
+      <Url>${cdata(article.url)}</Url>
+    </item>`);
+      return {
+        type: "news",
+        body: `<ArticleCount>${articles.length}</ArticleCount>
+    <Articles>${articles.join("")}</Articles>`
+      };
+    }
+    case "music":
+      return {
+        type: "music",
+        body: `<Music>
+      <Title>${cdata(reply.title)}</Title>
+      <Description>${cdata(reply.description)}</Description>
+      <MusicUrl>${cdata(reply.musicUrl)}</MusicUrl>
+      <HQMusicUrl>${cdata(reply.hqMusicUrl || reply.musicUrl)}</HQMusicUrl>
+      <ThumbMediaId>${cdata(reply.thumbMediaId)}</ThumbMediaId>
+    </Music>`
+      };
+    default:
+      return { type: "text", body: `<Content>${cdata(typeof reply === "string" ? reply : reply?.content)}</Content>` };
+  }
+}
+
+// 内容中的 ]]> 会提前结束 CDATA，拆成两段 CDATA 拼接
+function escapeCDATA(value) {
+  return String(value ?? "").replace(/\]\]>/g, "]]]]><![CDATA[>");
+}